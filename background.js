@@ -1,22 +1,57 @@
+importScripts('common.js');
+
+const EXPIRY_ALARM = 'expireTemporaryBlocks';
+const SCHEDULE_ALARM = 'evaluateSchedules';
+
 chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
-    await chrome.storage.sync.set({
+    await settingsStorage.set({
       blockedItems: [],
       isEnabled: true
     });
+  } else if (details.reason === 'update') {
+    await migrateBlockLists();
+    await splitProfileArchives();
+  }
+  await expireTemporaryBlocks();
+  await startScheduleAlarm();
+  await startRuleStats();
+
+  // 우클릭 메뉴는 카드/채팅을 우클릭할 때 만들어지므로 예전 버전의 고정 메뉴 삭제
+  await chrome.contextMenus.removeAll();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  expireTemporaryBlocks();
+  startScheduleAlarm();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === EXPIRY_ALARM) {
+    expireTemporaryBlocks();
+  } else if (alarm.name === SCHEDULE_ALARM) {
+    evaluateScheduleState();
   }
-  
-  // 컨텍스트 메뉴 생성
-  chrome.contextMenus.create({
-    id: "hideStreamer",
-    title: "스트리머 숨기기",
-    contexts: ["all"],
-    documentUrlPatterns: ["https://chzzk.naver.com/*"]
-  });
 });
 
-chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === 'sync') {
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  // 설정 저장소가 local로 바뀌었으면 local의 변경만 처리 (local 전용 키는 제외)
+  if (area !== await getSettingsArea()) return;
+  changes = { ...changes };
+  LOCAL_ONLY_KEYS.forEach(key => delete changes[key]);
+
+  if (Object.keys(changes).length > 0) {
+    if (Object.keys(changes).some(isTemporaryBlockStorageKey)) {
+      scheduleExpiryAlarm();
+    }
+    if (changes.schedules) {
+      evaluateScheduleState();
+    }
+    if (changes.activeProfileId) {
+      // 프로필이 바뀌면 열린 탭에서 설정을 다시 읽도록 알림
+      notifyProfileChanged();
+    }
+
     chrome.tabs.query({ url: '*://chzzk.naver.com/*' }, (tabs) => {
       tabs.forEach(tab => {
         chrome.tabs.sendMessage(tab.id, {
@@ -39,18 +74,314 @@ chrome.action.onClicked.addListener((tab) => {
 // 컨텍스트 메뉴 업데이트
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "updateContextMenu") {
-    chrome.contextMenus.update("hideStreamer", {
-      title: message.title
+    rebuildContextMenu(message.root, message.menus);
+  } else if (message.action === "reloadTabSettings") {
+    // 설정 페이지에서 가져오기로 여러 설정을 한꺼번에 바꾼 경우
+    notifyProfileChanged();
+  } else if (message.action === "recordRuleHits") {
+    recordRuleHits(message.hits);
+  } else if (message.action === "recordUndo") {
+    // 기록을 마친 뒤 응답해야 팝업이 최근 작업 목록을 바로 갱신할 수 있음
+    recordUndo(message.change).then(() => sendResponse(), () => sendResponse());
+    return true;
+  } else if (message.action === "undoChange") {
+    // 되돌린 결과를 응답하므로 비동기 응답 유지
+    undoChange(message.id).then(sendResponse);
+    return true;
+  } else if (message.action === "updateHiddenCount" && sender.tab) {
+    // 탭마다 숨긴 카드 수를 배지로 표시 (활성 탭의 값이 보임)
+    const tabId = sender.tab.id;
+    chrome.action.setBadgeBackgroundColor({ tabId, color: "#00c7b0" });
+    chrome.action.setBadgeText({ tabId, text: message.count > 0 ? String(message.count) : "" });
+  }
+});
+
+// 단축키 (manifest.json의 commands, chrome://extensions/shortcuts 에서 변경)
+// 토글 단축키: 저장된 값 키, 예약 상태의 설정 이름, 알림에 쓸 이름
+const TOGGLE_COMMANDS = {
+  'toggle-master': { storageKey: 'masterBlockEnabled', setting: 'masterEnabled', label: '숨기기 기능' },
+  'toggle-streamer-block': { storageKey: 'streamerBlockEnabled', setting: 'streamerEnabled', label: '스트리머 숨기기' },
+  'toggle-tag-block': { storageKey: 'tagBlockEnabled', setting: 'tagEnabled', label: '태그 숨기기' }
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const isChzzkTab = !!(tab && tab.url && tab.url.startsWith('https://chzzk.naver.com/'));
+
+  if (TOGGLE_COMMANDS[command]) {
+    const message = await toggleBlockSetting(TOGGLE_COMMANDS[command]);
+    if (isChzzkTab) {
+      chrome.tabs.sendMessage(tab.id, { action: 'showToast', message }).catch(() => {
+        // 탭이 응답하지 않는 경우 무시
+      });
+    }
+  } else if (isChzzkTab) {
+    // 카드 숨기기, 숨긴 항목만 보기는 현재 탭의 content script에서 처리
+    chrome.tabs.sendMessage(tab.id, { action: 'runCommand', command }).catch(() => {
+      // 탭이 응답하지 않는 경우 무시
     });
   }
 });
 
+async function toggleBlockSetting({ storageKey, setting, label }) {
+  try {
+    const data = await settingsStorage.get(storageKey);
+    const enabled = data[storageKey] === false;
+    await settingsStorage.set({ [storageKey]: enabled });
+
+    const { scheduleOverrides } = await chrome.storage.local.get('scheduleOverrides');
+    await broadcastBlockSettings(scheduleOverrides);
+
+    // 예약이 적용 중인 토글은 예약이 우선
+    const scheduled = scheduleOverrides && scheduleOverrides[setting] !== undefined;
+    return `${label} ${enabled ? '켜짐' : '꺼짐'}` + (scheduled ? ' (예약이 있어 예약 설정이 우선 적용됩니다)' : '');
+  } catch (error) {
+    console.error('단축키 처리 중 오류:', error);
+    return `${label} 전환 중 오류가 발생했습니다.`;
+  }
+}
+
+// 우클릭 메뉴는 콘텐츠 스크립트가 우클릭한 대상(방송 카드, 채팅)에 맞춰 보낸 항목으로 다시 만듦
+// 대상마다 최상위 항목(root)을 지우면 하위 항목도 지워지므로 서비스 워커가 다시 시작되어도 따로 기억할 필요 없음
+let contextMenuQueue = Promise.resolve();
+
+function rebuildContextMenu(root, menus) {
+  contextMenuQueue = contextMenuQueue.then(async () => {
+    await chrome.contextMenus.remove(root).catch(() => {
+      // 아직 만들어지지 않은 경우 무시
+    });
+    menus.forEach(menu => {
+      chrome.contextMenus.create({
+        ...menu,
+        contexts: ["all"],
+        documentUrlPatterns: ["https://chzzk.naver.com/*"]
+      }, () => {
+        // 연속 우클릭으로 같은 ID가 겹치는 경우 오류 무시
+        void chrome.runtime.lastError;
+      });
+    });
+  }).catch(error => {
+    console.error('컨텍스트 메뉴 갱신 중 오류:', error);
+  });
+}
+
 // 컨텍스트 메뉴 클릭 처리
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  if (info.menuItemId === "hideStreamer") {
-    // content script에 메시지 전송하여 해당 위치의 스트리머 처리
-    chrome.tabs.sendMessage(tab.id, {
-      action: "handleContextMenu"
+  // 메뉴를 만든 content script가 항목 ID로 동작을 찾아 처리
+  chrome.tabs.sendMessage(tab.id, {
+    action: "handleContextMenu",
+    menuItemId: info.menuItemId
+  });
+});
+
+async function notifyProfileChanged() {
+  const tabs = await chrome.tabs.query({ url: 'https://chzzk.naver.com/*' });
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, { action: 'profileChanged' }).catch(() => {
+      // 탭이 응답하지 않는 경우 무시
+    });
+  });
+}
+
+// 규칙 통계 기록 시작 시각 (이후로 한 번도 일치하지 않은 규칙을 정리 대상으로 판단)
+async function startRuleStats() {
+  const { ruleStatsSince } = await chrome.storage.local.get('ruleStatsSince');
+  if (!ruleStatsSince) {
+    await chrome.storage.local.set({ ruleStatsSince: Date.now() });
+  }
+}
+
+// 여러 탭에서 보낸 기록이 서로 덮어쓰지 않도록 순서대로 저장
+let ruleStatsQueue = Promise.resolve();
+
+function recordRuleHits(hits) {
+  ruleStatsQueue = ruleStatsQueue.then(async () => {
+    const { ruleStats } = await chrome.storage.local.get('ruleStats');
+    await chrome.storage.local.set({ ruleStats: mergeRuleHits(ruleStats || {}, hits) });
+  }).catch(error => {
+    console.error('규칙 통계 저장 중 오류:', error);
+  });
+}
+
+// 되돌리기 기록도 여러 탭/팝업에서 동시에 바꾸지 않도록 순서대로 처리
+let undoQueue = Promise.resolve();
+
+function queueUndoTask(task) {
+  const result = undoQueue.then(task);
+  undoQueue = result.catch(error => {
+    console.error('되돌리기 기록 처리 중 오류:', error);
+  });
+  return result;
+}
+
+function recordUndo(change) {
+  return queueUndoTask(async () => {
+    const { activeProfileId } = await loadProfileIndex();
+    const data = await chrome.storage.session.get(UNDO_HISTORY_KEY);
+    const history = [
+      { ...change, profileId: activeProfileId, createdAt: Date.now() },
+      ...(data[UNDO_HISTORY_KEY] || [])
+    ].slice(0, UNDO_HISTORY_LIMIT);
+    await chrome.storage.session.set({ [UNDO_HISTORY_KEY]: history });
+  });
+}
+
+// 기록한 변경을 되돌리고 기록에서 삭제 (기록한 프로필이 현재 프로필이면 열린 탭에 알림)
+function undoChange(id) {
+  return queueUndoTask(async () => {
+    const data = await chrome.storage.session.get(UNDO_HISTORY_KEY);
+    const history = data[UNDO_HISTORY_KEY] || [];
+    const change = history.find(entry => entry.id === id);
+    if (!change) {
+      return { success: false, message: '되돌릴 기록이 없습니다.' };
+    }
+
+    const { profiles, activeProfileId } = await loadProfileIndex();
+    if (!profiles.some(profile => profile.id === change.profileId)) {
+      await chrome.storage.session.set({ [UNDO_HISTORY_KEY]: history.filter(entry => entry !== change) });
+      return { success: false, message: '기록한 프로필이 삭제되어 되돌릴 수 없습니다.' };
+    }
+
+    const profileData = await readProfileData(change.profileId);
+    const list = revertListChange(PROFILE_LIST_NORMALIZERS[change.storageKey](profileData[change.storageKey]), change);
+    await writeProfileData(change.profileId, { [change.storageKey]: list });
+    await chrome.storage.session.set({ [UNDO_HISTORY_KEY]: history.filter(entry => entry !== change) });
+
+    if (change.profileId === activeProfileId) {
+      const tabs = await chrome.tabs.query({ url: 'https://chzzk.naver.com/*' });
+      tabs.forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, { action: 'updateBlockList', [change.storageKey]: list }).catch(() => {
+          // 탭이 응답하지 않는 경우 무시
+        });
+      });
+    }
+    return { success: true, message: `되돌렸습니다: ${change.label}` };
+  }).catch(error => ({ success: false, message: `되돌리는 중 오류가 발생했습니다: ${error.message}` }));
+}
+
+// 예전 버전의 문자열 차단 목록을 객체 목록으로 변환
+async function migrateBlockLists() {
+  try {
+    const { blockedStreamers, blockedTags } = await settingsStorage.get(['blockedStreamers', 'blockedTags']);
+    if (hasLegacyEntries(blockedStreamers) || hasLegacyEntries(blockedTags)) {
+      await settingsStorage.set({
+        blockedStreamers: normalizeStreamerList(blockedStreamers),
+        blockedTags: normalizePatternList(blockedTags)
+      });
+    }
+  } catch (error) {
+    console.error('차단 목록 변환 중 오류:', error);
+  }
+}
+
+// 예전 버전에서 "profile:{id}" 하나에 통째로 보관한 비활성 프로필을 키마다 나눠 저장
+async function splitProfileArchives() {
+  try {
+    const { profiles, activeProfileId } = await loadProfileIndex();
+    for (const profile of profiles) {
+      if (profile.id === activeProfileId) continue;
+      const legacyKey = getLegacyProfileStorageKey(profile.id);
+      const stored = await settingsStorage.get(getProfileStorageKeys(profile.id));
+      if (!stored[legacyKey]) continue;
+
+      await settingsStorage.set(toProfileArchive(profile.id, fromProfileArchive(profile.id, stored)));
+      await settingsStorage.remove(legacyKey);
+    }
+  } catch (error) {
+    console.error('프로필 보관 값 변환 중 오류:', error);
+  }
+}
+
+// 만료된 임시 숨기기 항목을 모든 프로필에서 삭제
+// 열린 탭에는 storage.onChanged의 settingsChanged 알림으로 전달됨
+async function expireTemporaryBlocks() {
+  try {
+    const { profiles } = await loadProfileIndex();
+    const now = Date.now();
+
+    for (const profile of profiles) {
+      const data = await readProfileData(profile.id);
+      const updates = {};
+
+      TEMPORARY_BLOCK_KEYS.forEach(key => {
+        const list = Array.isArray(data[key]) ? data[key] : [];
+        const remaining = list.filter(entry => !(entry && isExpiredEntry(entry, now)));
+        if (remaining.length !== list.length) {
+          updates[key] = remaining;
+        }
+      });
+
+      if (Object.keys(updates).length > 0) {
+        await writeProfileData(profile.id, updates);
+      }
+    }
+  } catch (error) {
+    console.error('임시 숨기기 만료 처리 중 오류:', error);
+  }
+
+  await scheduleExpiryAlarm();
+}
+
+// 모든 프로필에서 가장 먼저 만료되는 임시 숨기기 항목의 만료 시각에 알람 예약
+async function scheduleExpiryAlarm() {
+  try {
+    const { profiles } = await loadProfileIndex();
+    const expiryTimes = [];
+    for (const profile of profiles) {
+      const data = await readProfileData(profile.id);
+      TEMPORARY_BLOCK_KEYS
+        .flatMap(key => Array.isArray(data[key]) ? data[key] : [])
+        .forEach(entry => {
+          if (entry && entry.expiresAt) expiryTimes.push(entry.expiresAt);
+        });
+    }
+
+    if (expiryTimes.length === 0) {
+      await chrome.alarms.clear(EXPIRY_ALARM);
+      return;
+    }
+    await chrome.alarms.create(EXPIRY_ALARM, { when: Math.max(Math.min(...expiryTimes), Date.now() + 1000) });
+  } catch (error) {
+    console.error('만료 알람 예약 중 오류:', error);
+  }
+}
+
+// 활성 프로필 목록(blockedStreamers)이나 보관한 프로필 목록(profile:{id}:blockedStreamers)의 임시 숨기기 키인지
+function isTemporaryBlockStorageKey(storageKey) {
+  return TEMPORARY_BLOCK_KEYS.some(key =>
+    storageKey === key || (storageKey.startsWith('profile:') && storageKey.endsWith(`:${key}`))
+  );
+}
+
+// 저장된 설정과 예약 상태로 차단 설정을 만들어 열린 탭에 전송
+async function broadcastBlockSettings(overrides) {
+  const data = await settingsStorage.get(BLOCK_SETTINGS_KEYS);
+  const settings = buildBlockSettings(data, overrides);
+  const tabs = await chrome.tabs.query({ url: 'https://chzzk.naver.com/*' });
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, { action: 'updateBlockSettings', settings }).catch(() => {
+      // 탭이 응답하지 않는 경우 무시
     });
+  });
+}
+
+// 예약은 매 분 정각에 다시 평가
+async function startScheduleAlarm() {
+  const nextMinute = Math.ceil((Date.now() + 1) / 60000) * 60000;
+  await chrome.alarms.create(SCHEDULE_ALARM, { when: nextMinute, periodInMinutes: 1 });
+  await evaluateScheduleState();
+}
+
+// 예약에 따라 바뀐 토글을 local 저장소에 기록하고, 바뀌었으면 열린 탭에 차단 설정 전송
+async function evaluateScheduleState() {
+  try {
+    const { schedules } = await settingsStorage.get('schedules');
+    const overrides = evaluateSchedules(normalizeScheduleList(schedules));
+    const { scheduleOverrides } = await chrome.storage.local.get('scheduleOverrides');
+    if (JSON.stringify(scheduleOverrides || {}) === JSON.stringify(overrides)) return;
+
+    await chrome.storage.local.set({ scheduleOverrides: overrides });
+    await broadcastBlockSettings(overrides);
+  } catch (error) {
+    console.error('예약 평가 중 오류:', error);
   }
-});
\ No newline at end of file
+}
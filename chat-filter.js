@@ -0,0 +1,385 @@
+// 라이브 페이지 채팅 필터
+// - 차단한 채팅 사용자의 메시지 숨기기/접기
+// - 채팅 내용 규칙에 일치하는 메시지 숨기기/가리기/흐리게
+
+// 우클릭 메뉴의 채팅 사용자 숨기기 항목 ID
+const CHAT_MENU_ROOT = 'chat';
+
+const CHAT_MASK_TEXT = '***';
+
+class ChzzkChatFilter {
+  constructor() {
+    this.masterEnabled = true;
+    this.chatFilterEnabled = true;
+    this.chatFilterMode = 'collapse'; // 'hide' | 'collapse'
+    this.blockedChatters = [];
+    this.chatRules = [];
+    this.compiledChatRules = [];
+    this.selectors = { ...DEFAULT_SELECTORS };
+    this.maskedTexts = new WeakMap(); // item -> [{ node, text }] 가리기 전 원본 텍스트
+    this.chatContainer = null;
+    this.chatObserver = null;
+    this.pageObserver = null;
+    this.lastRightClickedChatter = null;
+    this.chatMenuShown = false;
+    this.debugMode = false; // Enable debug logging
+    this.init();
+  }
+
+  log(...args) {
+    if (this.debugMode) {
+      console.log('[CHZZK Chat Filter]', ...args);
+    }
+  }
+
+  async init() {
+    await this.loadSettings();
+    this.setupMessageListener();
+    this.setupContextMenu();
+    this.watchChatContainer();
+  }
+
+  async loadSettings() {
+    try {
+      const data = await settingsStorage.get([
+        'masterBlockEnabled',
+        'chatFilterEnabled',
+        'chatFilterMode',
+        'blockedChatters',
+        'chatRules',
+        'selectorOverrides'
+      ]);
+
+      const { scheduleOverrides } = await chrome.storage.local.get('scheduleOverrides');
+      this.masterEnabled = buildBlockSettings(data, scheduleOverrides).masterEnabled;
+      this.chatFilterEnabled = data.chatFilterEnabled !== false;
+      this.chatFilterMode = data.chatFilterMode === 'hide' ? 'hide' : 'collapse';
+      this.blockedChatters = normalizeChatterList(data.blockedChatters);
+      this.setChatRules(data.chatRules);
+      this.selectors = resolveSelectorPack(data.selectorOverrides).selectors;
+
+      this.log('Settings loaded:', {
+        chatFilterEnabled: this.chatFilterEnabled,
+        chatFilterMode: this.chatFilterMode,
+        blockedChatters: this.blockedChatters,
+        chatRules: this.chatRules
+      });
+    } catch (error) {
+      console.error('Failed to load chat filter settings:', error);
+    }
+  }
+
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'updateBlockSettings') {
+        this.masterEnabled = message.settings.masterEnabled;
+        this.reprocessAll();
+      } else if (message.action === 'updateBlockList') {
+        if (message.blockedChatters) this.blockedChatters = normalizeChatterList(message.blockedChatters);
+        if (message.chatRules) this.setChatRules(message.chatRules);
+        if (message.chatFilterEnabled !== undefined) this.chatFilterEnabled = message.chatFilterEnabled;
+        if (message.chatFilterMode) this.chatFilterMode = message.chatFilterMode;
+        if (message.selectorOverrides !== undefined) this.setSelectorPack(message.selectorOverrides);
+        this.reprocessAll();
+      } else if (message.action === 'settingsChanged') {
+        // 다른 탭에서 숨기거나 되돌린 채팅 사용자와 규칙 반영
+        const { blockedChatters, chatRules } = message.changes;
+        if (!blockedChatters && !chatRules) return;
+        if (blockedChatters) this.blockedChatters = normalizeChatterList(blockedChatters.newValue);
+        if (chatRules) this.setChatRules(chatRules.newValue);
+        this.reprocessAll();
+      } else if (message.action === 'profileChanged') {
+        this.loadSettings().then(() => this.reprocessAll());
+      } else if (message.action === 'handleContextMenu' && message.menuItemId === CHAT_MENU_ROOT) {
+        this.blockLastRightClickedChatter();
+      }
+    });
+  }
+
+  // 채팅은 빠르게 올라오므로 규칙은 변경될 때 한 번만 컴파일
+  setChatRules(rules) {
+    this.chatRules = normalizeChatRuleList(rules);
+    this.compiledChatRules = this.chatRules
+      .map(entry => ({
+        entry,
+        test: compileMatcher(entry.value, entry.matchMode),
+        maskPattern: compileMaskPattern(entry.value, entry.matchMode)
+      }))
+      .filter(rule => rule.test);
+  }
+
+  // 선택자가 바뀌면 이전 선택자로 처리한 채팅을 되돌리고 새 채팅 목록을 다시 찾음
+  setSelectorPack(overrides) {
+    if (this.chatContainer) {
+      this.chatContainer.querySelectorAll(this.selectors.chatItem).forEach(item => {
+        this.restoreMaskedText(item);
+        this.setChatItemState(item, null);
+      });
+    }
+    this.selectors = resolveSelectorPack(overrides).selectors;
+    this.detachFromChatContainer();
+    this.checkChatContainer();
+  }
+
+  isActive() {
+    return this.masterEnabled && this.chatFilterEnabled;
+  }
+
+  // 채팅 목록은 라이브 페이지 진입 시 동적으로 생성되므로 교체될 때마다 다시 연결
+  watchChatContainer() {
+    this.pageObserver = new MutationObserver(() => this.checkChatContainer());
+    this.checkChatContainer();
+  }
+
+  checkChatContainer() {
+    if (this.chatContainer && this.chatContainer.isConnected) return;
+
+    const container = document.querySelector(this.selectors.chatList);
+    if (container) {
+      this.attachToChatContainer(container);
+    } else if (this.chatContainer) {
+      this.detachFromChatContainer();
+    }
+    this.observeChatPage();
+  }
+
+  // 채팅 목록을 찾기 전에는 페이지 전체를 보고, 찾은 뒤에는 목록이 빠지는지만 확인
+  // (조상 요소의 직접 자식 변경만 보므로 채팅이 올라올 때마다 호출되지 않음)
+  observeChatPage() {
+    this.pageObserver.disconnect();
+    if (!this.chatContainer) {
+      this.pageObserver.observe(document.body, { childList: true, subtree: true });
+      return;
+    }
+    for (let node = this.chatContainer.parentNode; node; node = node.parentNode) {
+      this.pageObserver.observe(node, { childList: true });
+    }
+  }
+
+  attachToChatContainer(container) {
+    this.detachFromChatContainer();
+    this.chatContainer = container;
+
+    // 새로 추가된 채팅만 처리
+    this.chatObserver = new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        for (const node of mutation.addedNodes) {
+          if (node.nodeType !== Node.ELEMENT_NODE) continue;
+          if (node.matches(this.selectors.chatItem)) {
+            this.processChatItem(node);
+          } else {
+            node.querySelectorAll(this.selectors.chatItem).forEach(item => this.processChatItem(item));
+          }
+        }
+      }
+    });
+    this.chatObserver.observe(container, { childList: true, subtree: true });
+
+    this.reprocessAll();
+    this.log('Attached to chat container');
+  }
+
+  detachFromChatContainer() {
+    if (this.chatObserver) {
+      this.chatObserver.disconnect();
+      this.chatObserver = null;
+    }
+    this.chatContainer = null;
+  }
+
+  reprocessAll() {
+    if (!this.chatContainer) return;
+    this.chatContainer.querySelectorAll(this.selectors.chatItem).forEach(item => this.processChatItem(item));
+  }
+
+  processChatItem(item) {
+    // 규칙이 바뀌었을 수 있으므로 이전에 가린 텍스트는 먼저 복원
+    this.restoreMaskedText(item);
+
+    let state = null;
+    if (this.isActive()) {
+      const info = this.extractChatInfo(item);
+
+      if (this.blockedChatters.length > 0 && this.isChatterBlocked(info)) {
+        state = this.chatFilterMode;
+      } else if (this.compiledChatRules.length > 0) {
+        const rule = this.findMatchingChatRule(info);
+        if (rule) {
+          this.log(`Chat rule "${rule.entry.value}" (${rule.entry.action}) matches: ${info.message}`);
+          if (rule.entry.action === 'mask') {
+            this.maskMessage(item, rule);
+          } else {
+            state = rule.entry.action;
+          }
+        }
+      }
+    }
+
+    this.setChatItemState(item, state);
+  }
+
+  findMatchingChatRule(info) {
+    if (!info.message) return null;
+    return this.compiledChatRules.find(rule =>
+      (!info.isDonation || rule.entry.includeDonations) && rule.test(info.message)
+    ) || null;
+  }
+
+  // 일치한 부분만(포함/정규식) 또는 메시지 전체를 *** 로 가림
+  maskMessage(item, rule) {
+    const messageElement = item.querySelector(this.selectors.chatMessage);
+    if (!messageElement) return;
+
+    const originals = [];
+    const walker = document.createTreeWalker(messageElement, NodeFilter.SHOW_TEXT);
+    let node;
+    let first = true;
+    while ((node = walker.nextNode())) {
+      const text = node.nodeValue;
+      let masked;
+      if (rule.maskPattern) {
+        rule.maskPattern.lastIndex = 0;
+        masked = text.replace(rule.maskPattern, CHAT_MASK_TEXT);
+      } else {
+        masked = first ? CHAT_MASK_TEXT : '';
+      }
+      first = false;
+
+      if (masked !== text) {
+        originals.push({ node, text });
+        node.nodeValue = masked;
+      }
+    }
+
+    if (originals.length > 0) {
+      this.maskedTexts.set(item, originals);
+    }
+  }
+
+  restoreMaskedText(item) {
+    const originals = this.maskedTexts.get(item);
+    if (!originals) return;
+
+    originals.forEach(({ node, text }) => {
+      node.nodeValue = text;
+    });
+    this.maskedTexts.delete(item);
+  }
+
+  extractChatInfo(item) {
+    const nicknameElement = item.querySelector(this.selectors.chatNickname);
+    const messageElement = item.querySelector(this.selectors.chatMessage);
+    const info = {
+      nickname: nicknameElement?.textContent?.trim() || '',
+      userId: '',
+      message: messageElement?.textContent?.trim() || '',
+      isDonation: item.matches(this.selectors.chatDonation) || !!item.querySelector(this.selectors.chatDonation)
+    };
+
+    // 사용자 ID가 노출된 경우(프로필 링크, data 속성)에만 사용
+    const link = item.querySelector('a[href]');
+    if (link) {
+      info.userId = extractChannelId(link.getAttribute('href'));
+    }
+    if (!info.userId) {
+      const idElement = item.querySelector('[data-user-id], [data-user-id-hash]');
+      const userId = idElement?.getAttribute('data-user-id-hash') || idElement?.getAttribute('data-user-id') || '';
+      if (CHANNEL_ID_PATTERN.test(userId)) info.userId = userId.toLowerCase();
+    }
+
+    return info;
+  }
+
+  isChatterBlocked(info) {
+    if (!info.nickname && !info.userId) return false;
+    return this.blockedChatters.some(entry => isSameChatter(entry, info));
+  }
+
+  // state: null(표시), 'hide'(완전히 숨김), 'collapse'(접힌 자리 표시), 'dim'(흐리게)
+  setChatItemState(item, state) {
+    item.classList.toggle('chzzk-blocker-chat-hidden', state === 'hide');
+    item.classList.toggle('chzzk-blocker-chat-collapsed', state === 'collapse');
+    item.classList.toggle('chzzk-blocker-chat-dimmed', state === 'dim');
+    if (state !== 'collapse') {
+      item.classList.remove('chzzk-blocker-chat-revealed');
+      return;
+    }
+
+    // 접힌 메시지는 클릭하면 펼침
+    if (!item.hasAttribute('data-chzzk-chat-reveal')) {
+      item.setAttribute('data-chzzk-chat-reveal', 'true');
+      item.addEventListener('click', (e) => {
+        if (!item.classList.contains('chzzk-blocker-chat-collapsed') ||
+            item.classList.contains('chzzk-blocker-chat-revealed')) return;
+        e.preventDefault();
+        e.stopPropagation();
+        item.classList.add('chzzk-blocker-chat-revealed');
+      }, true);
+    }
+  }
+
+  setupContextMenu() {
+    document.addEventListener('contextmenu', (e) => {
+      const username = e.target.closest?.(this.selectors.chatUsername);
+      const item = username && username.closest(this.selectors.chatItem);
+      const info = item ? this.extractChatInfo(item) : null;
+      this.lastRightClickedChatter = info && (info.nickname || info.userId) ? info : null;
+      // 채팅 사용자가 아닌 곳이면 메뉴를 지움 (이미 없으면 생략)
+      if (!this.chatMenuShown && !this.lastRightClickedChatter) return;
+      this.chatMenuShown = !!this.lastRightClickedChatter;
+
+      const menus = this.lastRightClickedChatter ? [{
+        id: CHAT_MENU_ROOT,
+        title: `이 채팅 사용자 숨기기: ${getChatterLabel(this.lastRightClickedChatter)}`
+      }] : [];
+
+      chrome.runtime.sendMessage({ action: 'updateContextMenu', root: CHAT_MENU_ROOT, menus }).catch(error => {
+        console.debug('Context menu update failed:', error);
+      });
+    }, true);
+  }
+
+  async blockLastRightClickedChatter() {
+    const chatter = this.lastRightClickedChatter;
+    if (!chatter) {
+      this.log('No chatter to block');
+      return;
+    }
+
+    try {
+      const data = await settingsStorage.get('blockedChatters');
+      const blockedChatters = normalizeChatterList(data.blockedChatters);
+      if (blockedChatters.some(entry => isSameChatter(entry, chatter))) {
+        showPageToast(`이미 숨긴 채팅 사용자입니다: ${getChatterLabel(chatter)}`);
+      } else {
+        const entry = withEntryInfo({ userId: chatter.userId, nickname: chatter.nickname }, 'contextMenu');
+        blockedChatters.push(entry);
+        await settingsStorage.set({ blockedChatters });
+
+        // 알림과 팝업의 최근 작업에서 되돌릴 수 있도록 기록
+        recordPageUndo({
+          storageKey: 'blockedChatters',
+          added: [entry],
+          removed: [],
+          label: `채팅 사용자 숨김: ${getChatterLabel(entry)}`
+        });
+      }
+
+      this.blockedChatters = blockedChatters;
+      this.reprocessAll();
+      this.log('Blocked chatter:', chatter);
+    } catch (error) {
+      console.error('채팅 사용자 차단 오류:', error);
+    }
+
+    this.lastRightClickedChatter = null;
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    new ChzzkChatFilter();
+  });
+} else {
+  new ChzzkChatFilter();
+}
@@ -0,0 +1,1306 @@
+// 공통 유틸리티 (content / popup / options / background 에서 함께 사용)
+
+// 치지직 채널 ID는 32자리 16진수 문자열
+const CHANNEL_ID_PATTERN = /^[0-9a-f]{32}$/i;
+
+// 채널 링크(/live/{channelId} 또는 /{channelId})에서 채널 ID 추출
+function extractChannelId(href) {
+  if (!href) return '';
+
+  let path = href;
+  try {
+    path = new URL(href, 'https://chzzk.naver.com').pathname;
+  } catch (error) {
+    // 잘못된 URL은 그대로 경로로 취급
+  }
+
+  const match = path.match(/^\/(?:live\/)?([0-9a-f]{32})(?:[/?#]|$)/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+// 사용자가 입력한 값이 채널 ID나 채널 URL이면 채널 ID 반환
+function parseChannelIdInput(value) {
+  const trimmed = (value || '').trim();
+  if (CHANNEL_ID_PATTERN.test(trimmed)) return trimmed.toLowerCase();
+  if (/chzzk\.naver\.com\//i.test(trimmed)) return extractChannelId(trimmed);
+  return '';
+}
+
+// 매칭 방식
+const MATCH_MODES = ['exact', 'contains', 'startsWith', 'glob', 'regex'];
+const DEFAULT_MATCH_MODE = 'exact';
+
+const MATCH_MODE_LABELS = {
+  exact: '정확히 일치',
+  contains: '포함',
+  startsWith: '시작 문자열',
+  glob: '와일드카드',
+  regex: '정규식'
+};
+
+function normalizeMatchMode(mode) {
+  return MATCH_MODES.includes(mode) ? mode : DEFAULT_MATCH_MODE;
+}
+
+// 패턴 검증: 문제가 있으면 오류 메시지, 없으면 빈 문자열 반환
+function validatePattern(value, mode) {
+  if (!value || !value.trim()) return '빈 값은 사용할 수 없습니다.';
+  if (mode === 'regex') {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      return `잘못된 정규식입니다: ${error.message}`;
+    }
+  }
+  return '';
+}
+
+// 와일드카드(* 임의 문자열, ? 임의 한 글자)를 정규식으로 변환
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// 패턴을 한 번만 컴파일하여 (text) => boolean 함수 반환
+// 빈 텍스트는 어떤 패턴과도 일치하지 않음. 잘못된 패턴이면 null 반환
+function compileMatcher(value, mode) {
+  const pattern = (value || '').trim();
+  if (!pattern) return null;
+
+  const lowerPattern = pattern.toLowerCase();
+  switch (normalizeMatchMode(mode)) {
+    case 'contains':
+      return text => !!text && text.toLowerCase().includes(lowerPattern);
+    case 'startsWith':
+      return text => !!text && text.toLowerCase().startsWith(lowerPattern);
+    case 'glob': {
+      const regex = globToRegExp(pattern);
+      return text => !!text && regex.test(text.trim());
+    }
+    case 'regex': {
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch (error) {
+        return null;
+      }
+      return text => !!text && regex.test(text);
+    }
+    default:
+      return text => !!text && text.trim().toLowerCase() === lowerPattern;
+  }
+}
+
+// 규칙 종류별로 검사할 카드 정보 (name: 스트리머 이름, title: 방송 제목, tags: 태그, category: 카테고리)
+const RULE_TARGET_FIELDS = ['name', 'title', 'tags', 'category'];
+
+const RULE_TARGET_LABELS = {
+  name: '스트리머 이름',
+  title: '방송 제목',
+  tags: '태그',
+  category: '카테고리'
+};
+
+const DEFAULT_RULE_TARGETS = {
+  streamer: ['name'],
+  tag: ['tags'],
+  keyword: ['title'],
+  category: ['category']
+};
+
+function normalizeRuleTargets(ruleTargets) {
+  const result = {};
+  Object.keys(DEFAULT_RULE_TARGETS).forEach(type => {
+    const fields = ruleTargets && Array.isArray(ruleTargets[type])
+      ? ruleTargets[type].filter(field => RULE_TARGET_FIELDS.includes(field))
+      : DEFAULT_RULE_TARGETS[type];
+    result[type] = [...fields];
+  });
+  return result;
+}
+
+// 컴파일된 매칭 함수를 카드 정보의 지정된 필드에 적용
+function matchesInfoFields(info, test, fields) {
+  return fields.some(field => {
+    const value = info[field];
+    return Array.isArray(value) ? value.some(test) : test(value);
+  });
+}
+
+// 규칙 적용 범위: 항목에 scopes가 있으면 해당 영역에서만 적용 (없거나 비어 있으면 모든 곳)
+const PAGE_SCOPES = ['home', 'category', 'search', 'following', 'sidebar', 'vod'];
+
+const PAGE_SCOPE_LABELS = {
+  home: '홈',
+  category: '카테고리',
+  search: '검색',
+  following: '팔로잉',
+  sidebar: '사이드바',
+  vod: '다시보기'
+};
+
+// 경로로 페이지 영역 판단 (라이브/채널 페이지 등 해당 없는 곳은 빈 문자열)
+function getPageScope(pathname) {
+  const path = pathname || '/';
+  if (path === '/' || /^\/lives(?:\/|$)/.test(path)) return 'home';
+  if (/^\/category(?:\/|$)/.test(path)) return 'category';
+  if (/^\/search(?:\/|$)/.test(path)) return 'search';
+  if (/^\/following(?:\/|$)/.test(path)) return 'following';
+  if (/^\/(?:video|videos)(?:\/|$)/.test(path) || /^\/[0-9a-f]{32}\/videos(?:\/|$)/i.test(path)) return 'vod';
+  return '';
+}
+
+function normalizeScopes(scopes) {
+  return Array.isArray(scopes) ? PAGE_SCOPES.filter(scope => scopes.includes(scope)) : [];
+}
+
+function isRuleInScope(entry, scope) {
+  return !entry.scopes || entry.scopes.length === 0 || entry.scopes.includes(scope);
+}
+
+// 방송 카드가 목록으로 표시되는 페이지인지 (다시보기 재생 페이지 제외)
+// 이런 페이지에서 카드를 하나도 찾지 못하면 선택자가 맞지 않는 것으로 보고 팝업에 경고
+function isCardListPage(pathname) {
+  return getPageScope(pathname) !== '' && !/^\/video\//.test(pathname || '');
+}
+
+// 사이트 어댑터: 방송 카드와 카드 정보, 라이브 채팅을 찾는 선택자 묶음
+// 치지직이 개편되어 클래스 이름이 바뀌면 설정 페이지에서 항목별로 덮어쓰거나 JSON으로 가져옴
+// 기본 선택자를 고치면 SELECTOR_PACK_VERSION을 올림 (이전 버전 기준으로 덮어쓴 항목을 알려주기 위해)
+const SELECTOR_PACK_SITE = 'chzzk';
+const SELECTOR_PACK_VERSION = 1;
+
+const SELECTOR_FIELDS = [
+  'card', 'channelLink', 'videoLink', 'name', 'nameFallback',
+  'title', 'category', 'tag', 'thumbnail', 'streamerPageName', 'sidebar',
+  'chatList', 'chatItem', 'chatNickname', 'chatUsername', 'chatMessage', 'chatDonation'
+];
+
+const SELECTOR_FIELD_LABELS = {
+  card: '방송 카드',
+  channelLink: '채널 링크',
+  videoLink: '다시보기 링크',
+  name: '스트리머 이름',
+  nameFallback: '스트리머 이름 (대체)',
+  title: '방송 제목',
+  category: '카테고리',
+  tag: '태그',
+  thumbnail: '썸네일 이미지',
+  streamerPageName: '라이브/채널 페이지 스트리머 이름',
+  sidebar: '사이드바',
+  chatList: '채팅 목록',
+  chatItem: '채팅 메시지 줄',
+  chatNickname: '채팅 닉네임',
+  chatUsername: '채팅 사용자 (우클릭 대상)',
+  chatMessage: '채팅 내용',
+  chatDonation: '후원 채팅'
+};
+
+// 해시가 붙은 클래스 이름(예: navigation_component_item__iMPOI)은 부분 일치로 찾음
+const DEFAULT_SELECTORS = {
+  card: [
+    '[class*="navigation_component_item"]',
+    '[class*="video_card_container"]',
+    '[class*="live_card"]',
+    '[class*="stream_card"]'
+  ].join(', '),
+  channelLink: 'a[href]',
+  videoLink: 'a[href^="/video/"]',
+  name: '[class*="name_text"]',
+  nameFallback: '[class*="channel" i], [class*="name" i], [class*="ellipsis" i]',
+  title: '[class*="title" i]',
+  category: '[class*="category" i], [class*="genre" i]',
+  tag: '[class*="tag" i]',
+  thumbnail: 'img[src]',
+  streamerPageName: [
+    '[class*="video_information_name"] [class*="name_text"]',
+    '[class*="live_information_player_channel"] [class*="name_text"]',
+    '[class*="channel_profile_name"] [class*="name_text"]',
+    '[class*="channel_profile_name"]'
+  ].join(', '),
+  sidebar: [
+    'aside',
+    '[class*="navigator"]',
+    '[class*="sidebar"]',
+    '[class*="side_bar"]'
+  ].join(', '),
+  chatList: '[class*="live_chatting_list_wrapper"], [class*="live_chatting_list_container"]',
+  chatItem: '[class*="live_chatting_list_item"]',
+  chatNickname: '[class*="live_chatting_username_nickname"] [class*="name_text"], [class*="live_chatting_username_nickname"]',
+  chatUsername: '[class*="live_chatting_username"]',
+  chatMessage: '[class*="live_chatting_message_text"]',
+  chatDonation: '[class*="donation"], [class*="cheese"]'
+};
+
+// 선택자 문법 검사 (문서가 없는 백그라운드에서는 검사하지 않음)
+function isValidSelector(selector) {
+  if (typeof document === 'undefined') return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 저장된 덮어쓰기 값: { version: 저장할 때의 기본 선택자 버전, selectors: { 항목: 선택자 } }
+// 비어 있거나 잘못되었거나 기본값과 같은 항목은 버림
+function normalizeSelectorOverrides(overrides) {
+  const source = overrides && typeof overrides.selectors === 'object' ? overrides.selectors : {};
+  const selectors = {};
+  SELECTOR_FIELDS.forEach(field => {
+    const value = typeof source[field] === 'string' ? source[field].trim() : '';
+    if (value && value !== DEFAULT_SELECTORS[field] && isValidSelector(value)) {
+      selectors[field] = value;
+    }
+  });
+
+  const version = Number(overrides && overrides.version);
+  return {
+    version: Number.isInteger(version) && version > 0 ? version : SELECTOR_PACK_VERSION,
+    selectors
+  };
+}
+
+// 기본 선택자에 덮어쓴 항목을 적용한 전체 선택자 묶음
+function resolveSelectorPack(overrides) {
+  const normalized = normalizeSelectorOverrides(overrides);
+  return {
+    site: SELECTOR_PACK_SITE,
+    version: SELECTOR_PACK_VERSION,
+    selectors: { ...DEFAULT_SELECTORS, ...normalized.selectors }
+  };
+}
+
+// 가져온 JSON 검증: 다른 사이트용이거나 선택자가 잘못되었으면 오류 메시지와 함께 예외
+function parseSelectorPackJson(text) {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (error) {
+    throw new Error('JSON 형식이 올바르지 않습니다.');
+  }
+
+  if (!pack || typeof pack !== 'object' || typeof pack.selectors !== 'object' || !pack.selectors) {
+    throw new Error('selectors 항목이 없습니다.');
+  }
+  if (pack.site && pack.site !== SELECTOR_PACK_SITE) {
+    throw new Error(`다른 사이트용 선택자입니다: ${pack.site}`);
+  }
+
+  const invalid = SELECTOR_FIELDS.filter(field =>
+    typeof pack.selectors[field] === 'string' && pack.selectors[field].trim() && !isValidSelector(pack.selectors[field].trim())
+  );
+  if (invalid.length > 0) {
+    throw new Error(`잘못된 선택자: ${invalid.map(field => SELECTOR_FIELD_LABELS[field]).join(', ')}`);
+  }
+
+  return normalizeSelectorOverrides(pack);
+}
+
+// 항목 정보: 메모(note), 라벨(labels), 추가한 시각(addedAt, ms), 추가한 곳(source)
+// 모든 목록 항목에 선택적으로 저장하며, 정규화할 때 형식이 맞지 않는 값은 버림
+const ENTRY_INFO_KEYS = ['note', 'labels', 'addedAt', 'source'];
+const ENTRY_SOURCES = ['manual', 'contextMenu', 'import'];
+
+// contextMenu는 페이지에서 추가한 항목 (우클릭 메뉴, 카드 숨기기 버튼, 단축키)
+const ENTRY_SOURCE_LABELS = {
+  manual: '직접 추가',
+  contextMenu: '페이지 메뉴',
+  import: '가져오기'
+};
+
+function normalizeLabels(labels) {
+  if (!Array.isArray(labels)) return [];
+  const result = [];
+  labels.forEach(label => {
+    const trimmed = typeof label === 'string' ? label.trim() : '';
+    if (trimmed && !result.includes(trimmed)) result.push(trimmed);
+  });
+  return result;
+}
+
+// 항목에서 올바른 항목 정보만 추림 (없는 값은 생략)
+function pickEntryInfo(entry) {
+  const info = {};
+  const note = typeof entry.note === 'string' ? entry.note.trim() : '';
+  if (note) info.note = note;
+  const labels = normalizeLabels(entry.labels);
+  if (labels.length > 0) info.labels = labels;
+  if (Number.isFinite(entry.addedAt) && entry.addedAt > 0) info.addedAt = entry.addedAt;
+  if (ENTRY_SOURCES.includes(entry.source)) info.source = entry.source;
+  return info;
+}
+
+function normalizeEntryInfo(entry) {
+  const result = { ...entry };
+  ENTRY_INFO_KEYS.forEach(key => delete result[key]);
+  return { ...result, ...pickEntryInfo(entry) };
+}
+
+// 새로 추가하는 항목에 추가한 시각과 추가한 곳 기록 (이미 있으면 유지하여 백업의 정보 보존)
+function withEntryInfo(entry, source) {
+  return { ...entry, addedAt: entry.addedAt || Date.now(), source: entry.source || source };
+}
+
+// 라벨 색: 전역 설정 labelColors({라벨: '#rrggbb'})에 없으면 라벨 이름으로 정한 기본 색
+const LABEL_COLOR_PALETTE = ['#e03131', '#f08c00', '#2f9e44', '#1971c2', '#7048e8', '#c2255c', '#0c8599', '#5c940d'];
+
+function normalizeLabelColors(value) {
+  const result = {};
+  if (!value || typeof value !== 'object') return result;
+  Object.keys(value).forEach(label => {
+    if (label.trim() && /^#[0-9a-f]{6}$/i.test(value[label])) result[label.trim()] = value[label].toLowerCase();
+  });
+  return result;
+}
+
+function getLabelColor(label, labelColors) {
+  if (labelColors[label]) return labelColors[label];
+  let hash = 0;
+  for (const char of label) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return LABEL_COLOR_PALETTE[hash % LABEL_COLOR_PALETTE.length];
+}
+
+// 스트리머 차단 항목 정규화
+// 예전 버전은 표시 이름 문자열만 저장했으므로 {channelId, displayName} 객체로 변환
+function normalizeStreamerEntry(entry) {
+  if (typeof entry === 'string') {
+    return { channelId: '', displayName: entry.trim(), matchMode: DEFAULT_MATCH_MODE };
+  }
+  if (!entry || typeof entry !== 'object') return null;
+
+  return {
+    ...normalizeEntryInfo(entry),
+    channelId: (entry.channelId || '').toLowerCase(),
+    displayName: (entry.displayName || '').trim(),
+    matchMode: normalizeMatchMode(entry.matchMode)
+  };
+}
+
+function normalizeStreamerList(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(normalizeStreamerEntry)
+    .filter(entry => entry && (entry.channelId || entry.displayName));
+}
+
+// 임시 숨기기: 항목에 expiresAt(만료 시각, ms)이 있으면 그 시각까지만 적용
+// 만료된 항목은 백그라운드에서 chrome.alarms로 삭제
+const TEMPORARY_BLOCK_KEYS = ['blockedStreamers', 'blockedTags'];
+
+const SNOOZE_DURATIONS = {
+  '1h': { label: '1시간', ms: 60 * 60 * 1000 },
+  '1d': { label: '1일', ms: 24 * 60 * 60 * 1000 },
+  '1w': { label: '1주', ms: 7 * 24 * 60 * 60 * 1000 }
+};
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+function isExpiredEntry(entry, now = Date.now()) {
+  return !!entry.expiresAt && entry.expiresAt <= now;
+}
+
+// 직접 입력한 기간 파싱 ("30m", "2h", "3d", "1w", 단위가 없으면 시간) → ms, 잘못된 값이면 0
+function parseDurationInput(value) {
+  const match = (value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([mhdw]?)$/);
+  if (!match) return 0;
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 'h']);
+}
+
+// 남은 시간 표시 ("2일 3시간", "5시간 10분", "12분")
+function formatRemainingTime(expiresAt, now = Date.now()) {
+  const minutes = Math.ceil((expiresAt - now) / DURATION_UNITS.m);
+  if (minutes <= 0) return '곧 만료';
+
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const restMinutes = minutes % 60;
+  if (days > 0) return hours > 0 ? `${days}일 ${hours}시간` : `${days}일`;
+  if (hours > 0) return restMinutes > 0 ? `${hours}시간 ${restMinutes}분` : `${hours}시간`;
+  return `${restMinutes}분`;
+}
+
+// 지난 시간 표시 ("방금", "12분 전", "5시간 전", "3일 전")
+function formatTimeAgo(timestamp, now = Date.now()) {
+  const minutes = Math.floor((now - timestamp) / DURATION_UNITS.m);
+  if (minutes < 1) return '방금';
+  if (minutes < 60) return `${minutes}분 전`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}시간 전`;
+  return `${Math.floor(hours / 24)}일 전`;
+}
+
+// 태그/키워드/카테고리 차단 항목 정규화: 예전 문자열 항목을 {value, matchMode} 객체로 변환
+function normalizePatternEntry(entry) {
+  if (typeof entry === 'string') {
+    return { value: entry.trim(), matchMode: DEFAULT_MATCH_MODE };
+  }
+  if (!entry || typeof entry !== 'object') return null;
+
+  return {
+    ...normalizeEntryInfo(entry),
+    value: (entry.value || '').trim(),
+    matchMode: normalizeMatchMode(entry.matchMode)
+  };
+}
+
+function normalizePatternList(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(normalizePatternEntry)
+    .filter(entry => entry && entry.value);
+}
+
+// 저장된 목록에 예전 문자열 항목이 남아 있는지 확인
+function hasLegacyEntries(list) {
+  return Array.isArray(list) && list.some(entry => typeof entry === 'string');
+}
+
+// 같은 스트리머를 가리키는 항목인지 비교 (채널 ID 우선, 없으면 이름)
+function isSameStreamer(a, b) {
+  if (a.channelId && b.channelId) {
+    return a.channelId === b.channelId;
+  }
+  return !!a.displayName && a.displayName === b.displayName;
+}
+
+function isSamePattern(a, b) {
+  return a.value === b.value && a.matchMode === b.matchMode;
+}
+
+// 목록 표시용 이름
+function getStreamerLabel(entry) {
+  return entry.displayName || entry.channelId;
+}
+
+// TXT 내보내기/가져오기에서 기본값이 아닌 매칭 방식은 줄 끝에 " @모드"로 표기
+function appendMatchModeSuffix(text, mode) {
+  return mode && mode !== DEFAULT_MATCH_MODE ? `${text} @${mode}` : text;
+}
+
+function splitMatchModeSuffix(line) {
+  const match = line.match(/^(.*\S)\s+@(\w+)$/);
+  if (match && MATCH_MODES.includes(match[2])) {
+    return { text: match[1], matchMode: match[2] };
+  }
+  return { text: line, matchMode: DEFAULT_MATCH_MODE };
+}
+
+// 채팅 차단 사용자 항목 정규화: {userId, nickname}
+// 치지직 사용자 ID(userIdHash)도 채널 ID와 같은 32자리 16진수 형식
+function normalizeChatterEntry(entry) {
+  if (typeof entry === 'string') {
+    return { userId: '', nickname: entry.trim() };
+  }
+  if (!entry || typeof entry !== 'object') return null;
+
+  return {
+    ...normalizeEntryInfo(entry),
+    userId: (entry.userId || '').toLowerCase(),
+    nickname: (entry.nickname || '').trim()
+  };
+}
+
+function normalizeChatterList(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(normalizeChatterEntry)
+    .filter(entry => entry && (entry.userId || entry.nickname));
+}
+
+// 같은 채팅 사용자인지 비교 (사용자 ID 우선, 없으면 닉네임 대소문자 무시)
+function isSameChatter(a, b) {
+  if (a.userId && b.userId) {
+    return a.userId === b.userId;
+  }
+  return !!a.nickname && !!b.nickname && a.nickname.toLowerCase() === b.nickname.toLowerCase();
+}
+
+function getChatterLabel(entry) {
+  return entry.nickname || entry.userId;
+}
+
+// 채팅 내용 규칙: {value, matchMode, action, includeDonations}
+// action: hide(숨김), mask(가림), dim(흐리게)
+const CHAT_RULE_ACTIONS = ['hide', 'mask', 'dim'];
+
+const CHAT_RULE_ACTION_LABELS = {
+  hide: '숨기기',
+  mask: '가리기 (***)',
+  dim: '흐리게'
+};
+
+function normalizeChatRuleEntry(entry) {
+  const base = normalizePatternEntry(entry);
+  if (!base) return null;
+
+  return {
+    ...base,
+    action: CHAT_RULE_ACTIONS.includes(base.action) ? base.action : 'mask',
+    includeDonations: base.includeDonations === true
+  };
+}
+
+function normalizeChatRuleList(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(normalizeChatRuleEntry)
+    .filter(entry => entry && entry.value);
+}
+
+// 가리기용 치환 정규식: 일치한 부분만 가릴 수 있는 방식(포함, 정규식)은 전역 정규식 반환
+// 메시지 전체를 비교하는 방식(정확히 일치, 시작 문자열, 와일드카드)은 null (메시지 전체를 가림)
+function compileMaskPattern(value, mode) {
+  const pattern = (value || '').trim();
+  if (!pattern) return null;
+
+  if (mode === 'contains') {
+    return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+  }
+  if (mode === 'regex') {
+    try {
+      return new RegExp(pattern, 'gi');
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// 숨기기 방식: remove(완전히 제거), placeholder(접힌 자리 표시), blur(흐리게 + 제목 가림)
+// 전역 설정(hideMode)을 기본으로 쓰고, 규칙 항목에 hideMode가 있으면 그 규칙에만 적용
+const HIDE_MODES = ['remove', 'placeholder', 'blur'];
+const DEFAULT_HIDE_MODE = 'remove';
+
+const HIDE_MODE_LABELS = {
+  remove: '완전히 제거',
+  placeholder: '접힌 자리 표시',
+  blur: '흐리게 가리기'
+};
+
+function normalizeHideMode(mode) {
+  return HIDE_MODES.includes(mode) ? mode : DEFAULT_HIDE_MODE;
+}
+
+// 규칙 통계: 규칙마다 숨긴 카드 수, 마지막 일치 시각, 페이지 영역별 횟수
+// 동기화 용량을 쓰지 않도록 chrome.storage.local의 ruleStats에 저장 (ruleStatsSince: 기록 시작 시각)
+// { [규칙 키]: { count, lastMatchedAt, lastScope, scopes: { home: 3, ... } } }
+const RULE_STATS_KEYS = ['blockedStreamers', 'blockedTags', 'blockedKeywords', 'blockedCategories'];
+
+// 규칙 식별 키 (스트리머는 채널 ID 우선, 나머지는 매칭 방식 + 값)
+function getRuleStatKey(storageKey, entry) {
+  if (storageKey === 'blockedStreamers' || storageKey === 'allowedStreamers') {
+    return entry.channelId
+      ? `${storageKey}:id:${entry.channelId}`
+      : `${storageKey}:name:${entry.displayName.toLowerCase()}`;
+  }
+  return `${storageKey}:${entry.matchMode}:${entry.value}`;
+}
+
+// 콘텐츠 스크립트에서 모은 기록(hits)을 저장된 통계에 합침
+function mergeRuleHits(stats, hits) {
+  const merged = { ...stats };
+  Object.keys(hits).forEach(key => {
+    const hit = hits[key];
+    const current = merged[key] || { count: 0, lastMatchedAt: 0, lastScope: '', scopes: {} };
+    const scopes = { ...current.scopes };
+    Object.keys(hit.scopes || {}).forEach(scope => {
+      scopes[scope] = (scopes[scope] || 0) + hit.scopes[scope];
+    });
+
+    const isLatest = hit.lastMatchedAt >= current.lastMatchedAt;
+    merged[key] = {
+      count: current.count + hit.count,
+      lastMatchedAt: isLatest ? hit.lastMatchedAt : current.lastMatchedAt,
+      lastScope: isLatest ? hit.lastScope : current.lastScope,
+      scopes
+    };
+  });
+  return merged;
+}
+
+// 팝업/백그라운드에서 콘텐츠 스크립트로 보내는 차단 설정 (updateBlockSettings)
+const BLOCK_SETTINGS_KEYS = [
+  'masterBlockEnabled',
+  'streamerBlockEnabled',
+  'tagBlockEnabled',
+  'keywordBlockEnabled',
+  'categoryBlockEnabled',
+  'allowlistModeEnabled',
+  'blockedStreamers',
+  'blockedTags',
+  'blockedKeywords',
+  'blockedCategories',
+  'allowedStreamers',
+  'allowedCategories',
+  'ruleTargets',
+  'hideMode'
+];
+
+// 저장된 값으로 차단 설정을 만들고 예약으로 바뀐 토글(overrides)을 덮어씀
+function buildBlockSettings(data, overrides = {}) {
+  return {
+    masterEnabled: data.masterBlockEnabled !== false,
+    streamerEnabled: data.streamerBlockEnabled !== false,
+    tagEnabled: data.tagBlockEnabled !== false,
+    keywordEnabled: data.keywordBlockEnabled !== false,
+    categoryEnabled: data.categoryBlockEnabled !== false,
+    allowlistEnabled: data.allowlistModeEnabled === true,
+    blockedStreamers: data.blockedStreamers || [],
+    blockedTags: data.blockedTags || [],
+    blockedKeywords: data.blockedKeywords || [],
+    blockedCategories: data.blockedCategories || [],
+    allowedStreamers: data.allowedStreamers || [],
+    allowedCategories: data.allowedCategories || [],
+    ruleTargets: data.ruleTargets,
+    hideMode: normalizeHideMode(data.hideMode),
+    ...overrides
+  };
+}
+
+// 예약: {id, target, days, start, end, enabled}
+// 예약이 있는 대상은 예약 시간에만 켜지고 그 외 시간에는 꺼짐 (수동 토글보다 우선)
+// days: 0(일) ~ 6(토), start/end: "HH:MM" (end가 start보다 이르면 다음 날까지, 같으면 하루 종일)
+const SCHEDULE_TARGETS = ['master', 'streamer', 'tag', 'keyword', 'category', 'allowlist'];
+
+const SCHEDULE_TARGET_LABELS = {
+  master: '전체 차단 기능',
+  streamer: '스트리머 차단',
+  tag: '태그 차단',
+  keyword: '제목 키워드 차단',
+  category: '카테고리 차단',
+  allowlist: '허용 목록 모드'
+};
+
+// 예약 대상 → 차단 설정 키
+const SCHEDULE_SETTING_KEYS = {
+  master: 'masterEnabled',
+  streamer: 'streamerEnabled',
+  tag: 'tagEnabled',
+  keyword: 'keywordEnabled',
+  category: 'categoryEnabled',
+  allowlist: 'allowlistEnabled'
+};
+
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function normalizeScheduleEntry(entry) {
+  if (!entry || typeof entry !== 'object' || !SCHEDULE_TARGETS.includes(entry.target)) return null;
+
+  const days = Array.isArray(entry.days)
+    ? [...new Set(entry.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+    : [0, 1, 2, 3, 4, 5, 6];
+  return {
+    ...entry,
+    id: entry.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    days,
+    start: TIME_PATTERN.test(entry.start) ? entry.start : '00:00',
+    end: TIME_PATTERN.test(entry.end) ? entry.end : '00:00',
+    enabled: entry.enabled !== false
+  };
+}
+
+function normalizeScheduleList(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(normalizeScheduleEntry)
+    .filter(entry => entry && entry.days.length > 0);
+}
+
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isScheduleActive(schedule, date = new Date()) {
+  const day = date.getDay();
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = timeToMinutes(schedule.start);
+  const end = timeToMinutes(schedule.end);
+
+  if (start === end) return schedule.days.includes(day);
+  if (start < end) return schedule.days.includes(day) && minutes >= start && minutes < end;
+
+  // 자정을 넘기는 예약: 시작한 요일의 start 이후 또는 다음 날 end 이전
+  const previousDay = (day + 6) % 7;
+  return (schedule.days.includes(day) && minutes >= start) ||
+    (schedule.days.includes(previousDay) && minutes < end);
+}
+
+// 예약이 있는 대상의 현재 켜짐 여부 ({ tagEnabled: true, ... })
+function evaluateSchedules(schedules, date = new Date()) {
+  const overrides = {};
+  schedules.filter(schedule => schedule.enabled).forEach(schedule => {
+    const key = SCHEDULE_SETTING_KEYS[schedule.target];
+    overrides[key] = overrides[key] === true || isScheduleActive(schedule, date);
+  });
+  return overrides;
+}
+
+function formatScheduleDays(days) {
+  if (days.length === 7) return '매일';
+  if (days.join() === '1,2,3,4,5') return '평일';
+  if (days.join() === '0,6') return '주말';
+  return days.map(day => WEEKDAY_LABELS[day]).join('');
+}
+
+// 설정 저장소: 기본은 chrome.storage.sync, 동기화 용량(전체 100KB, 항목당 8KB)을 넘으면 chrome.storage.local로 전환
+// 전환 상태는 local의 settingsArea에 { area, reason, since }로 저장 (reason: quota 자동 전환, manual 직접 전환)
+// local로 옮겨도 sync의 값은 지우지 않음 (지우면 다른 기기의 설정까지 지워짐)
+const SETTINGS_AREA_KEY = 'settingsArea';
+
+// 설정 저장소와 상관없이 항상 local에만 두는 키
+const LOCAL_ONLY_KEYS = [SETTINGS_AREA_KEY, 'scheduleOverrides', 'ruleStats', 'ruleStatsSince'];
+
+// 사용량이 이 비율을 넘으면 경고
+const STORAGE_WARNING_RATIO = 0.8;
+
+async function getSettingsArea() {
+  const data = await chrome.storage.local.get(SETTINGS_AREA_KEY);
+  return data[SETTINGS_AREA_KEY]?.area === 'local' ? 'local' : 'sync';
+}
+
+async function getSettingsAreaState() {
+  const data = await chrome.storage.local.get(SETTINGS_AREA_KEY);
+  const state = data[SETTINGS_AREA_KEY];
+  return state?.area === 'local'
+    ? { area: 'local', reason: state.reason || 'manual', since: state.since || 0 }
+    : { area: 'sync', reason: '', since: 0 };
+}
+
+function isSyncQuotaError(error) {
+  return /QUOTA_BYTES|MAX_ITEMS/.test(error?.message || '');
+}
+
+// chrome.storage.sync 대신 사용 (현재 설정 저장소로 읽고 쓰고, 동기화 용량을 넘으면 local로 옮긴 뒤 다시 저장)
+const settingsStorage = {
+  async get(keys) {
+    return chrome.storage[await getSettingsArea()].get(keys);
+  },
+
+  async set(items) {
+    if (await getSettingsArea() === 'local') {
+      await chrome.storage.local.set(items);
+      return;
+    }
+    try {
+      await chrome.storage.sync.set(items);
+    } catch (error) {
+      if (!isSyncQuotaError(error)) throw error;
+      console.warn('동기화 저장 용량을 넘어 이 기기에만 저장합니다:', error.message);
+      await moveSettingsToLocal('quota');
+      await chrome.storage.local.set(items);
+    }
+  },
+
+  async remove(keys) {
+    await chrome.storage[await getSettingsArea()].remove(keys);
+  }
+};
+
+// 저장소에 있는 설정 값 전체 (local 전용 키 제외)
+async function readStoredSettings(area) {
+  const data = await chrome.storage[area].get(null);
+  LOCAL_ONLY_KEYS.forEach(key => delete data[key]);
+  return data;
+}
+
+// 옮길 저장소에만 남아 있는 예전 값을 지우고 현재 값을 저장
+async function replaceStoredSettings(area, data) {
+  const staleKeys = Object.keys(await readStoredSettings(area)).filter(key => !(key in data));
+  if (staleKeys.length > 0) {
+    await chrome.storage[area].remove(staleKeys);
+  }
+  await chrome.storage[area].set(data);
+}
+
+async function moveSettingsToLocal(reason) {
+  if (await getSettingsArea() === 'local') return;
+  await replaceStoredSettings('local', await readStoredSettings('sync'));
+  await chrome.storage.local.set({ [SETTINGS_AREA_KEY]: { area: 'local', reason, since: Date.now() } });
+}
+
+// 동기화로 되돌리기 (용량 안에 들어갈 때만)
+async function moveSettingsToSync() {
+  if (await getSettingsArea() === 'sync') return;
+
+  const data = await readStoredSettings('local');
+  const usage = measureSyncUsage(data);
+  const problem = getSyncQuotaProblem(usage, 1);
+  if (problem) {
+    throw new Error(`동기화 저장소에 들어가지 않습니다. ${problem}`);
+  }
+
+  await replaceStoredSettings('sync', data);
+  await chrome.storage.local.remove(SETTINGS_AREA_KEY);
+  await chrome.storage.local.remove(Object.keys(data));
+}
+
+// 항목 크기는 Chrome과 같은 방식으로 계산 (키 + JSON 문자열의 UTF-8 바이트 수)
+function getStorageItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+// 설정 값을 동기화 저장소에 둘 때의 사용량
+function measureSyncUsage(data) {
+  const items = Object.entries(data)
+    .map(([key, value]) => ({ key, bytes: getStorageItemBytes(key, value) }))
+    .sort((a, b) => b.bytes - a.bytes);
+
+  return {
+    totalBytes: items.reduce((sum, item) => sum + item.bytes, 0),
+    itemCount: items.length,
+    largestItem: items[0] || { key: '', bytes: 0 },
+    quotaBytes: chrome.storage.sync.QUOTA_BYTES,
+    quotaBytesPerItem: chrome.storage.sync.QUOTA_BYTES_PER_ITEM,
+    maxItems: chrome.storage.sync.MAX_ITEMS
+  };
+}
+
+// 한도의 ratio 비율을 넘는 항목이 있으면 안내 문구 반환
+function getSyncQuotaProblem(usage, ratio = STORAGE_WARNING_RATIO) {
+  if (usage.largestItem.bytes > usage.quotaBytesPerItem * ratio) {
+    return `"${usage.largestItem.key}" 항목이 ${formatBytes(usage.largestItem.bytes)}로 항목당 한도 ${formatBytes(usage.quotaBytesPerItem)}의 ${Math.round(usage.largestItem.bytes / usage.quotaBytesPerItem * 100)}%입니다.`;
+  }
+  if (usage.totalBytes > usage.quotaBytes * ratio) {
+    return `전체 ${formatBytes(usage.totalBytes)}로 한도 ${formatBytes(usage.quotaBytes)}의 ${Math.round(usage.totalBytes / usage.quotaBytes * 100)}%입니다.`;
+  }
+  if (usage.itemCount > usage.maxItems * ratio) {
+    return `항목 ${usage.itemCount}개로 한도 ${usage.maxItems}개에 가깝습니다.`;
+  }
+  return '';
+}
+
+// 현재 설정 저장소 상태와 동기화 기준 사용량
+async function getStorageUsage() {
+  const state = await getSettingsAreaState();
+  const usage = measureSyncUsage(await readStoredSettings(state.area));
+  return { ...state, ...usage, warning: getSyncQuotaProblem(usage) };
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes}B` : `${(bytes / 1024).toFixed(1)}KB`;
+}
+
+// 프로필: 이름이 붙은 차단 목록/토글 묶음
+// 활성 프로필의 값은 기존 최상위 키(blockedStreamers 등)에 그대로 두고,
+// 비활성 프로필은 키마다 "profile:{id}:{키}"에 보관 (전환 시 서로 교체)
+// 프로필을 한 항목에 통째로 두면 동기화 저장소의 항목당 용량 한도에 목록보다 먼저 걸리므로 나눠 저장
+const PROFILE_KEYS = [
+  'masterBlockEnabled',
+  'streamerBlockEnabled',
+  'tagBlockEnabled',
+  'keywordBlockEnabled',
+  'categoryBlockEnabled',
+  'allowlistModeEnabled',
+  'blockedStreamers',
+  'blockedTags',
+  'blockedKeywords',
+  'blockedCategories',
+  'allowedStreamers',
+  'allowedCategories',
+  'blockedChatters',
+  'chatRules'
+];
+
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = '기본';
+
+function getProfileStorageKey(profileId, key) {
+  return `profile:${profileId}:${key}`;
+}
+
+// 예전 버전은 "profile:{id}" 하나에 통째로 보관 (업데이트 시 백그라운드에서 나눠 저장)
+function getLegacyProfileStorageKey(profileId) {
+  return `profile:${profileId}`;
+}
+
+function getProfileStorageKeys(profileId) {
+  return [...PROFILE_KEYS.map(key => getProfileStorageKey(profileId, key)), getLegacyProfileStorageKey(profileId)];
+}
+
+// 프로필 값 → 보관 키별 값
+function toProfileArchive(profileId, data) {
+  const archive = {};
+  PROFILE_KEYS.forEach(key => {
+    if (data[key] !== undefined) archive[getProfileStorageKey(profileId, key)] = data[key];
+  });
+  return archive;
+}
+
+// 보관 키에서 읽은 값 → 프로필 값 (나눠 저장한 값이 예전 통째 보관 값보다 우선)
+function fromProfileArchive(profileId, stored) {
+  const data = { ...(stored[getLegacyProfileStorageKey(profileId)] || {}) };
+  PROFILE_KEYS.forEach(key => {
+    const value = stored[getProfileStorageKey(profileId, key)];
+    if (value !== undefined) data[key] = value;
+  });
+  return data;
+}
+
+function createProfileId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// 프로필 목록과 활성 프로필 ID (저장된 프로필이 없으면 기본 프로필 하나)
+async function loadProfileIndex() {
+  const data = await settingsStorage.get(['profiles', 'activeProfileId']);
+  const profiles = Array.isArray(data.profiles) && data.profiles.length > 0
+    ? data.profiles.filter(profile => profile && profile.id)
+    : [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME }];
+  const activeProfileId = profiles.some(profile => profile.id === data.activeProfileId)
+    ? data.activeProfileId
+    : profiles[0].id;
+  return { profiles, activeProfileId };
+}
+
+// 프로필 데이터 읽기 (활성 프로필은 최상위 키에서)
+async function readProfileData(profileId) {
+  const { activeProfileId } = await loadProfileIndex();
+  if (profileId === activeProfileId) {
+    return settingsStorage.get(PROFILE_KEYS);
+  }
+  return fromProfileArchive(profileId, await settingsStorage.get(getProfileStorageKeys(profileId)));
+}
+
+// 프로필 데이터 일부 저장 (활성 프로필은 최상위 키에)
+async function writeProfileData(profileId, updates) {
+  const { activeProfileId } = await loadProfileIndex();
+  if (profileId === activeProfileId) {
+    await settingsStorage.set(updates);
+    return;
+  }
+  await settingsStorage.set(toProfileArchive(profileId, updates));
+}
+
+// 활성 프로필 전환: 현재 값은 보관 키로, 대상 프로필 값은 최상위 키로 이동
+// 새 값과 현재 프로필 보관을 한 번에 먼저 저장하고 대상 보관 키는 그 뒤에 지움 (중간에 실패해도 대상 프로필 값이 남도록)
+// activeProfileId는 마지막에 저장되므로 변경 알림을 받은 쪽은 새 값을 읽을 수 있음
+async function switchProfile(profileId) {
+  const { profiles, activeProfileId } = await loadProfileIndex();
+  if (profileId === activeProfileId || !profiles.some(profile => profile.id === profileId)) return;
+
+  const current = await settingsStorage.get(PROFILE_KEYS);
+  const targetKeys = getProfileStorageKeys(profileId);
+  const target = fromProfileArchive(profileId, await settingsStorage.get(targetKeys));
+
+  await settingsStorage.set({
+    ...target,
+    ...toProfileArchive(activeProfileId, current),
+    profiles
+  });
+  const missingKeys = PROFILE_KEYS.filter(key => !(key in target));
+  await settingsStorage.remove([...missingKeys, ...targetKeys]);
+  await settingsStorage.set({ activeProfileId: profileId });
+}
+
+// JSON 백업: 프로필별 토글/목록(항목의 부가 정보 포함)과 전역 설정
+// { format, version, exportedAt, settings: {...}, profiles: [{ name, active, data: {...} }] }
+// 형식을 바꾸면 BACKUP_VERSION을 올리고 parseBackupJson에서 이전 버전을 변환
+const BACKUP_FORMAT = 'chzzk-streamer-blocker-backup';
+const BACKUP_VERSION = 1;
+
+const PROFILE_TOGGLE_DEFAULTS = {
+  masterBlockEnabled: true,
+  streamerBlockEnabled: true,
+  tagBlockEnabled: true,
+  keywordBlockEnabled: true,
+  categoryBlockEnabled: true,
+  allowlistModeEnabled: false
+};
+
+const PROFILE_TOGGLE_LABELS = {
+  masterBlockEnabled: '전체 차단',
+  streamerBlockEnabled: '스트리머 차단',
+  tagBlockEnabled: '태그 차단',
+  keywordBlockEnabled: '제목 키워드 차단',
+  categoryBlockEnabled: '카테고리 차단',
+  allowlistModeEnabled: '허용 목록 모드'
+};
+
+const PROFILE_LIST_NORMALIZERS = {
+  blockedStreamers: normalizeStreamerList,
+  blockedTags: normalizePatternList,
+  blockedKeywords: normalizePatternList,
+  blockedCategories: normalizePatternList,
+  allowedStreamers: normalizeStreamerList,
+  allowedCategories: normalizePatternList,
+  blockedChatters: normalizeChatterList,
+  chatRules: normalizeChatRuleList
+};
+
+// 프로필과 관계없는 전역 설정
+const BACKUP_SETTINGS_KEYS = [
+  'hideMode', 'hoverButtonEnabled', 'ruleTargets', 'schedules', 'chatFilterEnabled', 'chatFilterMode', 'selectorOverrides',
+  'labelColors'
+];
+
+const BACKUP_SETTINGS_LABELS = {
+  hideMode: '숨기기 방식',
+  hoverButtonEnabled: '카드 숨기기 버튼',
+  ruleTargets: '매칭 대상',
+  schedules: '예약',
+  chatFilterEnabled: '채팅 필터 사용',
+  chatFilterMode: '채팅 필터 표시 방식',
+  selectorOverrides: '사이트 선택자',
+  labelColors: '라벨 색'
+};
+
+// 전역 설정 검증/정규화: [형식 검사, 정규화, 오류 메시지]
+const BACKUP_SETTINGS_SCHEMA = {
+  hideMode: [value => typeof value === 'string', normalizeHideMode, '문자열이어야'],
+  hoverButtonEnabled: [value => typeof value === 'boolean', value => value, 'true 또는 false여야'],
+  ruleTargets: [value => !!value && typeof value === 'object' && !Array.isArray(value), normalizeRuleTargets, '객체여야'],
+  schedules: [Array.isArray, normalizeScheduleList, '배열이어야'],
+  chatFilterEnabled: [value => typeof value === 'boolean', value => value, 'true 또는 false여야'],
+  chatFilterMode: [value => value === 'hide' || value === 'collapse', value => value, '"hide" 또는 "collapse"여야'],
+  selectorOverrides: [value => !!value && typeof value === 'object', normalizeSelectorOverrides, '객체여야'],
+  labelColors: [value => !!value && typeof value === 'object' && !Array.isArray(value), normalizeLabelColors, '객체여야']
+};
+
+// 저장된 프로필 데이터에서 백업할 값만 정규화하여 추림 (저장되지 않은 값은 생략)
+function pickProfileBackupData(data) {
+  const result = {};
+  Object.keys(PROFILE_TOGGLE_DEFAULTS).forEach(key => {
+    if (typeof data[key] === 'boolean') result[key] = data[key];
+  });
+  Object.keys(PROFILE_LIST_NORMALIZERS).forEach(key => {
+    if (data[key] !== undefined) result[key] = PROFILE_LIST_NORMALIZERS[key](data[key]);
+  });
+  return result;
+}
+
+// profiles: [{ name, active, data }], settings: 저장소에서 읽은 전역 설정
+function createBackup(profiles, settings) {
+  const backupSettings = {};
+  BACKUP_SETTINGS_KEYS.forEach(key => {
+    if (settings[key] !== undefined) backupSettings[key] = settings[key];
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: backupSettings,
+    profiles: profiles.map(profile => ({
+      name: profile.name,
+      active: profile.active === true,
+      data: pickProfileBackupData(profile.data)
+    }))
+  };
+}
+
+// 백업 JSON 검증 및 정규화. 문제가 있으면 위치(profiles[0].data.blockedTags 등)를 담은 오류 메시지로 예외
+// 형식이 맞지 않는 목록 항목은 건너뛰고 warnings에 기록
+function parseBackupJson(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`JSON 형식이 올바르지 않습니다: ${error.message}`);
+  }
+
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    throw new Error('백업 파일의 최상위 값은 객체여야 합니다.');
+  }
+  if (backup.format !== BACKUP_FORMAT) {
+    throw new Error(`치지직 스트리머 숨기기 백업 파일이 아닙니다 (format 값이 "${BACKUP_FORMAT}"이어야 합니다).`);
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error('version: 백업 버전이 없거나 잘못되었습니다.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`version: 더 새로운 버전(v${backup.version})의 백업입니다. 확장 프로그램을 업데이트한 뒤 가져오세요.`);
+  }
+  if (!Array.isArray(backup.profiles) || backup.profiles.length === 0) {
+    throw new Error('profiles: 프로필 배열이 없거나 비어 있습니다.');
+  }
+
+  const warnings = [];
+  const names = new Set();
+  const profiles = backup.profiles.map((profile, index) => {
+    const path = `profiles[${index}]`;
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`${path}: 객체여야 합니다.`);
+    }
+    if (typeof profile.name !== 'string' || !profile.name.trim()) {
+      throw new Error(`${path}.name: 프로필 이름이 없습니다.`);
+    }
+    const name = profile.name.trim();
+    if (names.has(name)) {
+      throw new Error(`${path}.name: 같은 이름의 프로필("${name}")이 두 번 있습니다.`);
+    }
+    names.add(name);
+
+    const data = profile.data === undefined ? {} : profile.data;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`${path}.data: 객체여야 합니다.`);
+    }
+
+    Object.keys(PROFILE_TOGGLE_DEFAULTS).forEach(key => {
+      if (data[key] !== undefined && typeof data[key] !== 'boolean') {
+        throw new Error(`${path}.data.${key}: true 또는 false여야 합니다.`);
+      }
+    });
+    Object.keys(PROFILE_LIST_NORMALIZERS).forEach(key => {
+      if (data[key] === undefined) return;
+      if (!Array.isArray(data[key])) {
+        throw new Error(`${path}.data.${key}: 배열이어야 합니다.`);
+      }
+      const skipped = data[key].length - PROFILE_LIST_NORMALIZERS[key](data[key]).length;
+      if (skipped > 0) {
+        warnings.push(`${path}.data.${key}: 형식이 맞지 않는 항목 ${skipped}개를 건너뜁니다.`);
+      }
+    });
+
+    return { name, active: profile.active === true, data: pickProfileBackupData(data) };
+  });
+
+  const settings = {};
+  const sourceSettings = backup.settings === undefined ? {} : backup.settings;
+  if (!sourceSettings || typeof sourceSettings !== 'object' || Array.isArray(sourceSettings)) {
+    throw new Error('settings: 객체여야 합니다.');
+  }
+  BACKUP_SETTINGS_KEYS.forEach(key => {
+    if (sourceSettings[key] === undefined) return;
+    const [isValid, normalize, expected] = BACKUP_SETTINGS_SCHEMA[key];
+    if (!isValid(sourceSettings[key])) {
+      throw new Error(`settings.${key}: ${expected} 합니다.`);
+    }
+    settings[key] = normalize(sourceSettings[key]);
+  });
+
+  return { version: backup.version, exportedAt: backup.exportedAt || '', settings, profiles, warnings };
+}
+
+// 되돌리기 기록: 우클릭 메뉴로 바꾼 목록 변경을 브라우저 세션 동안 chrome.storage.session에 보관 (최근 것부터)
+// { id, label, storageKey, profileId, added: [...], removed: [...], createdAt }
+// 되돌리면 added 항목을 빼고 removed 항목을 다시 넣음 (그 사이 다른 변경은 유지)
+const UNDO_HISTORY_KEY = 'undoHistory';
+const UNDO_HISTORY_LIMIT = 10;
+
+// 목록마다 같은 항목인지 비교하는 함수 (우클릭 메뉴의 추가/해제와 되돌리기에서 사용)
+const LIST_ENTRY_COMPARERS = {
+  blockedStreamers: isSameStreamer,
+  blockedTags: isSamePattern,
+  blockedKeywords: isSamePattern,
+  blockedCategories: isSamePattern,
+  blockedChatters: isSameChatter
+};
+
+function revertListChange(list, change) {
+  const isSame = LIST_ENTRY_COMPARERS[change.storageKey];
+  const reverted = list.filter(entry => !change.added.some(added => isSame(entry, added)));
+  change.removed.forEach(removed => {
+    if (!reverted.some(entry => isSame(entry, removed))) {
+      reverted.push(removed);
+    }
+  });
+  return reverted;
+}
+
+// 페이지 알림 (content script 공용): 화면 오른쪽 위에 잠시 표시, action이 있으면 버튼 추가
+function showPageToast(message, action = null) {
+  // 기존 토스트가 있으면 제거
+  const existingToast = document.getElementById('chzzk-blocker-toast');
+  if (existingToast) {
+    existingToast.remove();
+  }
+
+  const toast = document.createElement('div');
+  toast.id = 'chzzk-blocker-toast';
+  toast.style.cssText = `
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    background: #333;
+    color: white;
+    padding: 12px 20px;
+    border-radius: 8px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    z-index: 10000;
+    font-size: 14px;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    opacity: 0;
+    transform: translateX(100px);
+    transition: all 0.3s ease;
+    max-width: 300px;
+    word-wrap: break-word;
+  `;
+  toast.textContent = message;
+
+  if (action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = action.label;
+    button.style.cssText = `
+      margin-left: 12px;
+      padding: 4px 10px;
+      border: 1px solid #00c7b0;
+      border-radius: 4px;
+      background: transparent;
+      color: #00c7b0;
+      font-size: 13px;
+      font-weight: 600;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', () => {
+      toast.remove();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
+  
+  document.body.appendChild(toast);
+  
+  // 애니메이션으로 표시
+  setTimeout(() => {
+    toast.style.opacity = '1';
+    toast.style.transform = 'translateX(0)';
+  }, 10);
+  
+  // 3초(버튼이 있으면 6초) 후 자동 제거
+  setTimeout(() => {
+    toast.style.opacity = '0';
+    toast.style.transform = 'translateX(100px)';
+    setTimeout(() => {
+      if (toast.parentNode) {
+        toast.remove();
+      }
+    }, 300);
+  }, action ? 6000 : 3000);
+}
+
+// 되돌릴 수 있도록 백그라운드의 기록에 남기고 "되돌리기" 버튼이 있는 알림 표시
+function recordPageUndo(change) {
+  const id = crypto.randomUUID();
+  chrome.runtime.sendMessage({
+    action: 'recordUndo',
+    change: { id, ...change }
+  }).catch(error => {
+    console.debug('Undo record failed:', error);
+  });
+  showPageToast(change.label, { label: '되돌리기', onClick: () => undoPageChange(id) });
+}
+
+async function undoPageChange(id) {
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'undoChange', id });
+    showPageToast(result.message);
+  } catch (error) {
+    console.error('되돌리기 오류:', error);
+  }
+}
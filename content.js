@@ -1,11 +1,68 @@
+// 한 번에 카드 처리에 쓰는 최대 시간 (넘으면 나머지는 다음 프레임에 처리)
+const CARD_PASS_BUDGET_MS = 8;
+
+// 이 스크립트가 들고 있는 목록 (저장소 키와 같은 이름의 속성)
+const CONTENT_LIST_KEYS = ['blockedStreamers', 'blockedTags', 'blockedKeywords', 'blockedCategories', 'allowedStreamers', 'allowedCategories'];
+
+// 우클릭 메뉴에서 방송 카드용 항목의 최상위 ID (하위 항목은 "card:..." 형식)
+const CARD_MENU_ROOT = 'card';
+
+// 숨김 처리된 카드 (제거 / 자리 표시 / 흐리게 / 숨긴 항목만 보기 중 표시)
+const HIDDEN_CARD_SELECTOR = '.chzzk-blocker-hidden, .chzzk-blocker-placeholder, .chzzk-blocker-blurred, .chzzk-blocker-peek-match';
+
 class ChzzkStreamerBlocker {
   constructor() {
     this.masterEnabled = true;
     this.streamerEnabled = true; 
     this.tagEnabled = true;
+    this.keywordEnabled = true;
+    this.categoryEnabled = true;
+    this.allowlistEnabled = false; // 허용 목록 모드: 허용한 스트리머/카테고리 외에는 모두 숨김
+    this.hideMode = DEFAULT_HIDE_MODE;
+    this.revealedCards = new WeakSet(); // "보기"(카드 안내 또는 팝업)를 누른 카드
+    this.cardMatches = new WeakMap(); // 숨긴 카드 -> getCardMatch 결과 (팝업의 숨긴 항목 목록용)
+    this.hiddenCardSeq = 0;
+    this.reportedHiddenCount = -1;
+    this.hiddenCountTimer = null;
     this.blockedStreamers = [];
     this.blockedTags = [];
+    this.blockedKeywords = [];
+    this.blockedCategories = [];
+    this.allowedStreamers = [];
+    this.allowedCategories = [];
+    this.ruleTargets = normalizeRuleTargets();
+    this.streamerRules = [];
+    this.tagRules = [];
+    this.keywordRules = [];
+    this.categoryRules = [];
+    this.allowedStreamerRules = [];
+    this.allowedCategoryRules = [];
+    this.selectors = resolveSelectorPack().selectors; // 사이트 어댑터 선택자 (설정에서 덮어쓸 수 있음)
     this.observer = null;
+    this.cardInfoCache = new WeakMap(); // 카드 요소 -> 추출한 정보 (카드 내용이 바뀌면 삭제)
+    this.pendingCards = new Set();
+    this.flushScheduled = false;
+    this.passStats = { passes: 0, cards: 0, totalMs: 0, maxMs: 0, overBudget: 0 };
+    this.countedCards = new WeakMap(); // 카드 -> 통계에 기록한 규칙 키 (다시 처리해도 한 번만 셈)
+    this.pendingRuleHits = {};
+    this.ruleHitsTimer = null;
+    this.saveStreamersTimer = null;
+    this.pendingStreamerUpdates = []; // [{ channelId, name }] 저장 대기 중인 이름 변경/채널 ID
+    this.pendingStreamerProfile = null; // 갱신을 모으기 시작할 때의 활성 프로필 ID (Promise)
+    this.currentUrl = '';
+    this.pageScope = getPageScope(location.pathname);
+    this.pageCheckPending = false;
+    this.showOnceChannelId = '';
+    this.interstitial = null;
+    this.pausedVideos = new Set();
+    this.commandTargetCard = null; // 단축키로 숨길 카드 (마지막으로 마우스를 올리거나 포커스한 카드)
+    this.hoverButtonEnabled = true; // 카드 위 숨기기 버튼 표시 (설정에서 끌 수 있음)
+    this.hoverElement = null;
+    this.hoverMenu = null;
+    this.hoverMenuOpen = false;
+    this.hoverButtonCard = null;
+    this.peekMode = false; // 숨긴 항목만 보기
+    this.handleVideoPlay = this.handleVideoPlay.bind(this);
     this.debugMode = false; // Enable debug logging
     this.init();
   }
@@ -21,31 +78,51 @@ class ChzzkStreamerBlocker {
     await this.loadSettings();
     this.setupMessageListener();
     this.setupContextMenu();
+    this.setupCommandTarget();
     this.startBlocking();
+    this.setupRouteWatcher();
   }
 
   async loadSettings() {
     try {
-      const data = await chrome.storage.sync.get([
-        'masterBlockEnabled',
-        'streamerBlockEnabled', 
-        'tagBlockEnabled',
-        'blockedStreamers',
-        'blockedTags'
-      ]);
+      const data = await settingsStorage.get([...BLOCK_SETTINGS_KEYS, 'selectorOverrides', 'hoverButtonEnabled']);
+      // 예약으로 바뀐 토글은 백그라운드가 local 저장소에 기록
+      const { scheduleOverrides } = await chrome.storage.local.get('scheduleOverrides');
+      const settings = buildBlockSettings(data, scheduleOverrides);
       
-      this.masterEnabled = data.masterBlockEnabled !== false;
-      this.streamerEnabled = data.streamerBlockEnabled !== false;
-      this.tagEnabled = data.tagBlockEnabled !== false;
-      this.blockedStreamers = data.blockedStreamers || [];
-      this.blockedTags = data.blockedTags || [];
+      this.masterEnabled = settings.masterEnabled;
+      this.streamerEnabled = settings.streamerEnabled;
+      this.tagEnabled = settings.tagEnabled;
+      this.keywordEnabled = settings.keywordEnabled;
+      this.categoryEnabled = settings.categoryEnabled;
+      this.allowlistEnabled = settings.allowlistEnabled;
+      this.hideMode = settings.hideMode;
+      this.selectors = resolveSelectorPack(data.selectorOverrides).selectors;
+      this.hoverButtonEnabled = data.hoverButtonEnabled !== false;
+      this.setBlockLists(settings);
+
+      // 예전 문자열 형식 항목은 객체 형식으로 변환하여 저장
+      if (hasLegacyEntries(data.blockedStreamers) || hasLegacyEntries(data.blockedTags)) {
+        await settingsStorage.set({
+          blockedStreamers: this.blockedStreamers,
+          blockedTags: this.blockedTags
+        });
+      }
       
       this.log('Settings loaded:', { 
         masterEnabled: this.masterEnabled,
         streamerEnabled: this.streamerEnabled, 
         tagEnabled: this.tagEnabled,
+        keywordEnabled: this.keywordEnabled,
+        categoryEnabled: this.categoryEnabled,
+        allowlistEnabled: this.allowlistEnabled,
         blockedStreamers: this.blockedStreamers, 
-        blockedTags: this.blockedTags 
+        blockedTags: this.blockedTags,
+        blockedKeywords: this.blockedKeywords,
+        blockedCategories: this.blockedCategories,
+        allowedStreamers: this.allowedStreamers,
+        allowedCategories: this.allowedCategories,
+        ruleTargets: this.ruleTargets
       });
     } catch (error) {
       console.error('Failed to load settings:', error);
@@ -58,299 +135,635 @@ class ChzzkStreamerBlocker {
         this.masterEnabled = message.settings.masterEnabled;
         this.streamerEnabled = message.settings.streamerEnabled;
         this.tagEnabled = message.settings.tagEnabled;
-        this.blockedStreamers = message.settings.blockedStreamers;
-        this.blockedTags = message.settings.blockedTags;
+        this.keywordEnabled = message.settings.keywordEnabled;
+        this.categoryEnabled = message.settings.categoryEnabled;
+        this.allowlistEnabled = message.settings.allowlistEnabled === true;
+        this.hideMode = normalizeHideMode(message.settings.hideMode);
+        this.setBlockLists(message.settings);
         this.applyBlocking();
+        this.checkBlockedPage();
       } else if (message.action === 'updateBlockList') {
-        // SOOP 스타일 메시지 호환성
-        if (message.blockedStreamers) this.blockedStreamers = message.blockedStreamers;
-        if (message.blockedTags) this.blockedTags = message.blockedTags;
+        // SOOP 스타일 메시지 호환성 (전달된 목록만 교체)
+        if (message.allowlistModeEnabled !== undefined) this.allowlistEnabled = message.allowlistModeEnabled === true;
+        if (message.hideMode) this.hideMode = normalizeHideMode(message.hideMode);
+        if (message.selectorOverrides !== undefined) this.setSelectorPack(message.selectorOverrides);
+        if (message.hoverButtonEnabled !== undefined) {
+          this.hoverButtonEnabled = message.hoverButtonEnabled !== false;
+          this.hideHoverButton();
+        }
+        this.setBlockLists(message);
+        this.applyBlocking();
+        this.checkBlockedPage();
+      } else if (message.action === 'settingsChanged') {
+        // 다른 탭이나 팝업에서 바뀐 목록을 반영 (오래된 목록으로 다시 저장하지 않도록)
+        const lists = {};
+        CONTENT_LIST_KEYS.forEach(key => {
+          if (message.changes[key]) lists[key] = message.changes[key].newValue || [];
+        });
+        if (message.changes.ruleTargets) lists.ruleTargets = normalizeRuleTargets(message.changes.ruleTargets.newValue);
+        if (Object.keys(lists).length > 0) {
+          this.setBlockLists(lists);
+          this.applyBlocking();
+          this.checkBlockedPage();
+        }
+      } else if (message.action === 'profileChanged') {
+        // 활성 프로필이 바뀌면 새 프로필 설정을 다시 읽음 (이전 프로필의 저장 대기 갱신은 버림)
+        clearTimeout(this.saveStreamersTimer);
+        this.pendingStreamerUpdates = [];
+        this.pendingStreamerProfile = null;
+        await this.loadSettings();
         this.applyBlocking();
-      } else if (message.action === 'handleContextMenu') {
+        this.checkBlockedPage();
+      } else if (message.action === 'getPageHealth') {
+        // 팝업의 선택자 상태 확인 (await 전에 응답해야 함)
+        sendResponse(this.getPageHealth());
+      } else if (message.action === 'getHiddenCards') {
+        sendResponse(this.getHiddenCardReport());
+      } else if (message.action === 'showHiddenCardOnce') {
+        sendResponse(this.showHiddenCardOnce(message.id));
+      } else if (message.action === 'runCommand') {
+        // 백그라운드에서 전달한 단축키
+        if (message.command === 'block-hovered-card') {
+          await this.blockCommandTarget();
+        } else if (message.command === 'peek-hidden') {
+          this.togglePeekMode();
+        }
+      } else if (message.action === 'showToast') {
+        this.showToast(message.message);
+      } else if (message.action === 'handleContextMenu' && message.menuItemId.startsWith(`${CARD_MENU_ROOT}:`)) {
         // 컨텍스트 메뉴에서 호출된 경우 처리
-        await this.handleContextMenuAction();
+        await this.handleContextMenuAction(message.menuItemId);
       }
     });
   }
 
-  startBlocking() {
-    this.applyBlocking();
-    this.setupObserver();
-    this.setupPeriodicCheck();
+  // 차단 목록을 정규화하고 매칭 함수를 미리 컴파일 (카드마다 다시 계산하지 않도록)
+  // 전달되지 않은 목록은 기존 값 유지
+  setBlockLists(lists) {
+    if (lists.blockedStreamers) this.blockedStreamers = normalizeStreamerList(lists.blockedStreamers);
+    if (lists.blockedTags) this.blockedTags = normalizePatternList(lists.blockedTags);
+    if (lists.blockedKeywords) this.blockedKeywords = normalizePatternList(lists.blockedKeywords);
+    if (lists.blockedCategories) this.blockedCategories = normalizePatternList(lists.blockedCategories);
+    if (lists.allowedStreamers) this.allowedStreamers = normalizeStreamerList(lists.allowedStreamers);
+    if (lists.allowedCategories) this.allowedCategories = normalizePatternList(lists.allowedCategories);
+    if (lists.ruleTargets) this.ruleTargets = normalizeRuleTargets(lists.ruleTargets);
+    this.compileRules();
   }
 
-  setupPeriodicCheck() {
-    // Check every 2 seconds for new content
-    setInterval(() => {
-      const totalBlocked = this.blockedStreamers.length + this.blockedTags.length;
-      if (this.masterEnabled && totalBlocked > 0) {
-        this.log('Periodic check - reapplying blocking...');
-        this.applyBlocking();
-      }
-      // Always add context menu to new cards
-      this.addContextMenuToCards();
-    }, 2000);
-
-    // Also check on scroll and other events
-    ['scroll', 'resize', 'focus'].forEach(event => {
-      window.addEventListener(event, () => {
-        const totalBlocked = this.blockedStreamers.length + this.blockedTags.length;
-        if (this.masterEnabled && totalBlocked > 0) {
-          setTimeout(() => this.applyBlocking(), 100);
-        }
-      }, { passive: true });
+  compileRules() {
+    this.streamerRules = this.compileStreamerRules(this.blockedStreamers);
+    this.tagRules = this.compilePatternRules(this.blockedTags);
+    this.keywordRules = this.compilePatternRules(this.blockedKeywords);
+    this.categoryRules = this.compilePatternRules(this.blockedCategories);
+    this.allowedStreamerRules = this.compileStreamerRules(this.allowedStreamers);
+    this.allowedCategoryRules = this.compilePatternRules(this.allowedCategories);
+    this.log('Rules compiled:', {
+      streamers: this.streamerRules.length,
+      tags: this.tagRules.length,
+      keywords: this.keywordRules.length,
+      categories: this.categoryRules.length,
+      allowedStreamers: this.allowedStreamerRules.length,
+      allowedCategories: this.allowedCategoryRules.length
     });
+  }
+
+  // 만료된 임시 숨기기 항목은 백그라운드에서 삭제되기 전이라도 적용하지 않음
+  compileStreamerRules(entries) {
+    return entries.filter(entry => !isExpiredEntry(entry)).map(entry => ({
+      entry,
+      test: compileMatcher(entry.displayName, entry.matchMode)
+    }));
+  }
+
+  compilePatternRules(entries) {
+    return entries
+      .filter(entry => !isExpiredEntry(entry))
+      .map(entry => ({ entry, test: compileMatcher(entry.value, entry.matchMode) }))
+      .filter(rule => rule.test);
+  }
+
+  getTotalRuleCount() {
+    return this.blockedStreamers.length + this.blockedTags.length +
+      this.blockedKeywords.length + this.blockedCategories.length;
+  }
+
+  // 허용 목록 모드는 목록이 비어 있어도 모든 카드를 숨기므로 항상 검사 대상
+  hasActiveRules() {
+    return this.allowlistEnabled || this.getTotalRuleCount() > 0;
+  }
 
-    this.log('Periodic checks set up');
+  startBlocking() {
+    this.applyBlocking();
+    this.setupObserver();
   }
 
+  // 주기적으로 전체 카드를 다시 검사하지 않고, 추가/변경된 카드만 처리
   setupObserver() {
     if (this.observer) {
       this.observer.disconnect();
     }
 
-    this.observer = new MutationObserver((mutations) => {
-      let shouldReapply = false;
-      
-      mutations.forEach((mutation) => {
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          for (let node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              // Check for stream card elements with more comprehensive selectors
-              const streamCardSelectors = [
-                '.navigation_component_item__iMPOI',
-                '.video_card_container__urjO6',
-                '[class*="video_card_container"]',
-                '[class*="navigation_component_item"]',
-                '[class*="live_card"]',
-                '[class*="stream_card"]',
-                '[class*="card"]',
-                '[class*="item"]'
-              ];
-              
-              const isStreamCard = streamCardSelectors.some(selector => 
-                node.matches?.(selector) || node.querySelector?.(selector)
-              );
-              
-              if (isStreamCard) {
-                this.log('New stream card detected, reapplying blocking...');
-                shouldReapply = true;
-                // Add context menu to new cards
-                setTimeout(() => this.addContextMenuToCards(), 100);
-                break;
-              }
-            }
-          }
-        }
-      });
-
-      if (shouldReapply) {
-        setTimeout(() => this.applyBlocking(), 300); // Slight delay to ensure DOM is ready
-      }
-    });
-
+    this.observer = new MutationObserver((mutations) => this.handleMutations(mutations));
     this.observer.observe(document.body, {
       childList: true,
-      subtree: true
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['href']
     });
-    
+
     this.log('DOM observer set up');
   }
 
-  isStreamCard(element) {
-    const cardSelectors = [
-      '.navigation_component_item__iMPOI',
-      '.live_card_item',
-      '[class*="card"]',
-      '[class*="item"]'
-    ];
-    
-    return cardSelectors.some(selector => 
-      element.matches?.(selector) || element.querySelector?.(selector)
-    );
+  handleMutations(mutations) {
+    // 주소가 바뀌었거나 이름을 기다리는 스트리머 페이지 확인이 남았을 때만 (배치마다 한 번)
+    if (location.href !== this.currentUrl || this.pageCheckPending) {
+      this.checkRouteChange();
+    }
+
+    const cardInfoSelector = this.getCardInfoSelector();
+    const cards = new Set();
+    mutations.forEach((mutation) => {
+      if (this.isOwnMutation(mutation) || this.isChatMutation(mutation)) return;
+
+      // 카드 정보에 쓰는 요소가 바뀐 카드(와 바깥 카드)만 캐시된 정보를 버리고 다시 처리
+      // (시청자 수, 방송 시간처럼 정보에 쓰지 않는 텍스트 변경은 무시)
+      let changedCard = this.findCardInfoChange(mutation, cardInfoSelector);
+      while (changedCard) {
+        this.cardInfoCache.delete(changedCard);
+        cards.add(changedCard);
+        changedCard = changedCard.parentElement?.closest(this.selectors.card);
+      }
+
+      // 숨긴 카드가 페이지에서 사라졌을 수 있으므로 배지 수 다시 계산
+      if (mutation.removedNodes.length > 0) this.scheduleHiddenCountReport();
+
+      for (let node of mutation.addedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+        if (node.matches(this.selectors.card)) cards.add(node);
+        node.querySelectorAll(this.selectors.card).forEach(card => cards.add(card));
+      }
+    });
+
+    if (cards.size > 0 && this.masterEnabled && this.hasActiveRules()) {
+      this.log(`${cards.size} new/changed stream cards detected`);
+      this.queueCards(cards);
+    }
+  }
+
+  // extractStreamerInfo가 읽는 요소: 텍스트를 읽는 이름/제목/카테고리/태그와 주소를 읽는 채널/다시보기 링크
+  getCardInfoSelector() {
+    const { name, nameFallback, title, category, tag, channelLink, videoLink } = this.selectors;
+    return {
+      text: [name, nameFallback, title, category, tag].join(', '),
+      link: [channelLink, videoLink].join(', ')
+    };
+  }
+
+  // 카드 정보에 쓰는 요소가 바뀌었으면 그 카드를 반환
+  findCardInfoChange(mutation, cardInfoSelector) {
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE
+      ? mutation.target
+      : mutation.target.parentElement;
+    const card = target?.closest(this.selectors.card);
+    if (!card) return null;
+
+    if (mutation.type === 'attributes') {
+      return target.matches(cardInfoSelector.link) ? card : null;
+    }
+    const field = target.closest(cardInfoSelector.text);
+    if (field && card.contains(field)) return card;
+
+    // 정보 요소나 링크 자체가 추가되거나 빠진 경우
+    const selector = `${cardInfoSelector.text}, ${cardInfoSelector.link}`;
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.some(node => node.nodeType === Node.ELEMENT_NODE &&
+      (node.matches(selector) || node.querySelector(selector))) ? card : null;
+  }
+
+  // 라이브 채팅은 빠르게 바뀌고 방송 카드가 없으므로 카드 처리 대상에서 뺌 (채팅은 chat-filter.js가 처리)
+  isChatMutation(mutation) {
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE
+      ? mutation.target
+      : mutation.target.parentElement;
+    return !!target?.closest(this.selectors.chatList);
+  }
+
+  // 숨김 안내(veil)를 넣고 빼는 변경은 무시 (다시 처리하면 무한 반복)
+  isOwnMutation(mutation) {
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE
+      ? mutation.target
+      : mutation.target.parentElement;
+    if (target?.closest('.chzzk-blocker-veil')) return true;
+    if (mutation.type !== 'childList') return false;
+
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length > 0 && nodes.every(node => node.classList?.contains('chzzk-blocker-veil'));
   }
 
   applyBlocking() {
-    const totalBlocked = this.blockedStreamers.length + this.blockedTags.length;
-    this.log('Applying blocking...', { 
-      masterEnabled: this.masterEnabled, 
+    const totalBlocked = this.getTotalRuleCount();
+    this.log('Applying blocking...', {
+      masterEnabled: this.masterEnabled,
       streamerEnabled: this.streamerEnabled,
       tagEnabled: this.tagEnabled,
-      totalBlocked: totalBlocked 
+      keywordEnabled: this.keywordEnabled,
+      categoryEnabled: this.categoryEnabled,
+      allowlistEnabled: this.allowlistEnabled,
+      totalBlocked: totalBlocked
     });
-    
-    if (!this.masterEnabled || totalBlocked === 0) {
+
+    if (!this.masterEnabled || !this.hasActiveRules()) {
       this.log('Blocking disabled or no blocked items, showing all cards');
+      this.pendingCards.clear();
+      this.peekMode = false;
       this.showAllStreamCards();
       return;
     }
 
-    const streamCards = this.findStreamCards();
-    this.log('Processing stream cards...', streamCards.length);
-    
+    // 설정이 바뀌면 모든 카드를 다시 판단 (추출한 정보는 캐시 재사용)
+    this.queueCards(this.findStreamCards());
+  }
+
+  queueCards(cards) {
+    cards.forEach(card => this.pendingCards.add(card));
+    if (this.flushScheduled) return;
+
+    this.flushScheduled = true;
+    requestAnimationFrame(() => this.flushPendingCards());
+  }
+
+  // 시간 예산 안에서 대기 중인 카드를 처리하고, 남은 카드는 다음 프레임으로 넘김
+  flushPendingCards() {
+    this.flushScheduled = false;
+    if (!this.masterEnabled || !this.hasActiveRules()) {
+      this.pendingCards.clear();
+      return;
+    }
+
+    const start = performance.now();
+    let processed = 0;
     let hiddenCount = 0;
-    streamCards.forEach((card, index) => {
-      const shouldHide = this.shouldHideCard(card);
-      this.setCardVisibility(card, !shouldHide);
-      if (shouldHide) hiddenCount++;
-      
-      this.log(`Card ${index + 1}/${streamCards.length}: ${shouldHide ? 'HIDDEN' : 'VISIBLE'}`);
-    });
-    
-    this.log(`Blocking applied: ${hiddenCount}/${streamCards.length} cards hidden`);
+
+    for (let card of this.pendingCards) {
+      this.pendingCards.delete(card);
+      if (!card.isConnected) continue;
+
+      const match = this.getCardMatch(card);
+      this.setCardState(card, match);
+      processed++;
+
+      // "보기"로 다시 표시한 카드와 숨긴 항목만 보기 중에 다시 처리한 카드는 통계와 숨긴 수에 넣지 않음
+      if (match && !this.revealedCards.has(card) && !this.peekMode) {
+        if (match.ruleKey) this.countRuleHit(card, match.ruleKey);
+        hiddenCount++;
+      }
+
+      if (performance.now() - start >= CARD_PASS_BUDGET_MS) break;
+    }
+
+    this.recordPass(processed, hiddenCount, performance.now() - start);
+
+    if (this.pendingCards.size > 0) {
+      this.queueCards([]);
+    } else {
+      this.scheduleHiddenCountReport();
+    }
   }
 
-  findStreamCards() {
-    // More comprehensive selectors based on the provided HTML structure
-    const selectors = [
-      '.navigation_component_item__iMPOI', // Original selector from example
-      'li.navigation_component_item__iMPOI', // More specific
-      '.video_card_container__urjO6', // Container class from example  
-      '[class*="video_card_container"]',
-      '[class*="navigation_component_item"]',
-      '[class*="live_card"]',
-      '[class*="stream_card"]',
-      // Fallback selectors
-      'li[class*="item"]',
-      'div[class*="card"]',
-      'article[class*="card"]'
-    ];
+  // 겹친 카드 선택자로 바깥/안쪽이 함께 숨겨진 경우 바깥 카드만 셈
+  getHiddenCards() {
+    return [...document.querySelectorAll(HIDDEN_CARD_SELECTOR)]
+      .filter(card => !card.parentElement?.closest(HIDDEN_CARD_SELECTOR));
+  }
 
-    const cards = [];
-    selectors.forEach(selector => {
-      const foundCards = document.querySelectorAll(selector);
-      if (foundCards.length > 0) {
-        this.log(`Found ${foundCards.length} cards with selector: ${selector}`);
-        cards.push(...foundCards);
+  // 팝업의 "이 페이지에서 숨긴 항목" 목록
+  getHiddenCardReport() {
+    return this.getHiddenCards().map(card => {
+      if (!card.dataset.chzzkBlockerId) {
+        card.dataset.chzzkBlockerId = String(++this.hiddenCardSeq);
       }
+      const info = this.getStreamerInfo(card);
+      const match = this.cardMatches.get(card) || {};
+      const thumbnail = card.querySelector(this.selectors.thumbnail);
+
+      return {
+        id: card.dataset.chzzkBlockerId,
+        name: info.name,
+        channelId: info.channelId,
+        title: info.title,
+        thumbnail: thumbnail ? thumbnail.currentSrc || thumbnail.src : '',
+        reason: match.reason || '',
+        ruleKey: match.ruleKey || '',
+        storageKey: match.storageKey || '',
+        entry: match.entry || null
+      };
     });
+  }
 
-    const uniqueCards = [...new Set(cards)];
-    this.log(`Total unique stream cards found: ${uniqueCards.length}`);
-    
-    return uniqueCards;
+  showHiddenCardOnce(id) {
+    const card = document.querySelector(`[data-chzzk-blocker-id="${CSS.escape(String(id))}"]`);
+    if (!card) return false;
+
+    this.revealCard(card);
+    return true;
+  }
+
+  // 이 카드만 다시 표시 (규칙은 그대로, 페이지를 다시 열면 다시 숨김)
+  revealCard(card) {
+    this.revealedCards.add(card);
+    this.clearCardState(card);
+    this.scheduleHiddenCountReport();
+  }
+
+  // 확장 프로그램 아이콘 배지에 이 탭의 숨긴 카드 수 표시 (바뀐 경우에만 전송)
+  scheduleHiddenCountReport() {
+    if (this.hiddenCountTimer) return;
+
+    this.hiddenCountTimer = setTimeout(() => {
+      this.hiddenCountTimer = null;
+      const count = this.getHiddenCards().length;
+      if (count === this.reportedHiddenCount) return;
+
+      this.reportedHiddenCount = count;
+      chrome.runtime.sendMessage({ action: 'updateHiddenCount', count }).catch(error => {
+        console.debug('Hidden count update failed:', error);
+      });
+    }, 500);
   }
 
-  shouldHideCard(card) {
-    const streamerInfo = this.extractStreamerInfo(card);
+  // 규칙 통계: 카드마다 한 번만 세고, 모아서 백그라운드에 전달 (저장은 백그라운드에서 순서대로)
+  countRuleHit(card, ruleKey) {
+    if (this.countedCards.get(card) === ruleKey) return;
+    this.countedCards.set(card, ruleKey);
+
+    const scope = this.getCardScope(card, this.getStreamerInfo(card));
+    const hit = this.pendingRuleHits[ruleKey] || { count: 0, lastMatchedAt: 0, lastScope: '', scopes: {} };
+    hit.count++;
+    hit.lastMatchedAt = Date.now();
+    hit.lastScope = scope;
+    if (scope) hit.scopes[scope] = (hit.scopes[scope] || 0) + 1;
+    this.pendingRuleHits[ruleKey] = hit;
+
+    if (!this.ruleHitsTimer) {
+      this.ruleHitsTimer = setTimeout(() => this.sendRuleHits(), 5000);
+    }
+  }
+
+  sendRuleHits() {
+    const hits = this.pendingRuleHits;
+    this.pendingRuleHits = {};
+    this.ruleHitsTimer = null;
+
+    chrome.runtime.sendMessage({ action: 'recordRuleHits', hits }).catch(error => {
+      // 확장 프로그램이 다시 로드된 경우 등은 무시
+      console.debug('Rule stats update failed:', error);
+    });
+  }
+
+  // 디버그 모드에서만 처리 시간 기록 (스크롤 중 끊김 확인용)
+  recordPass(processed, hiddenCount, elapsed) {
+    if (!this.debugMode) return;
+
+    const stats = this.passStats;
+    stats.passes++;
+    stats.cards += processed;
+    stats.totalMs += elapsed;
+    stats.maxMs = Math.max(stats.maxMs, elapsed);
+    if (elapsed > CARD_PASS_BUDGET_MS) stats.overBudget++;
+
+    this.log(
+      `Pass #${stats.passes}: ${processed} cards (${hiddenCount} hidden) in ${elapsed.toFixed(2)}ms, ` +
+      `${this.pendingCards.size} pending`,
+      {
+        avgMs: Number((stats.totalMs / stats.passes).toFixed(2)),
+        maxMs: Number(stats.maxMs.toFixed(2)),
+        overBudget: stats.overBudget,
+        totalCards: stats.cards
+      }
+    );
+  }
+
+  findStreamCards() {
+    const cards = document.querySelectorAll(this.selectors.card);
+    this.log(`Total stream cards found: ${cards.length}`);
+    return [...cards];
+  }
+
+  // 선택자가 바뀌면 이전 선택자로 숨긴 카드를 모두 되돌리고 캐시를 비움 (다시 적용은 호출한 쪽에서)
+  setSelectorPack(overrides) {
+    this.showAllStreamCards();
+    this.pendingCards.clear();
+    this.cardInfoCache = new WeakMap();
+    this.selectors = resolveSelectorPack(overrides).selectors;
+    this.log('Selector pack updated:', this.selectors);
+  }
+
+  // 카드 목록 페이지인데 카드를 하나도 찾지 못하면 선택자가 사이트와 맞지 않는 것
+  getPageHealth() {
+    return {
+      cardListPage: isCardListPage(location.pathname),
+      cardCount: document.querySelectorAll(this.selectors.card).length
+    };
+  }
+
+  // 카드를 숨겨야 하면 { reason, hideMode }, 아니면 null
+  getCardMatch(card) {
+    const streamerInfo = this.getStreamerInfo(card);
+    const scope = this.getCardScope(card, streamerInfo);
     
     // 스트리머 차단 검사
-    if (this.streamerEnabled && this.blockedStreamers.length > 0) {
-      const streamerMatch = this.blockedStreamers.some(blockedStreamer => {
-        const matches = this.matchesStreamer(streamerInfo, blockedStreamer);
+    if (this.streamerEnabled && this.streamerRules.length > 0) {
+      const streamerMatch = this.streamerRules.find(rule => {
+        const matches = isRuleInScope(rule.entry, scope) && this.matchesStreamer(streamerInfo, rule);
         if (matches) {
-          this.log(`MATCH! Streamer "${blockedStreamer}" matches: ${streamerInfo.name}`);
+          this.log(`MATCH! Streamer "${getStreamerLabel(rule.entry)}" (${rule.entry.matchMode}) matches: ${streamerInfo.name} (${streamerInfo.channelId})`);
+          this.rememberStreamer(rule.entry, streamerInfo);
         }
         return matches;
       });
       
-      if (streamerMatch) return true;
+      if (streamerMatch) return this.createCardMatch(streamerMatch.entry, `스트리머 ${getStreamerLabel(streamerMatch.entry)}`, 'blockedStreamers');
     }
     
     // 태그 차단 검사  
-    if (this.tagEnabled && this.blockedTags.length > 0) {
-      const tagMatch = this.blockedTags.some(blockedTag => {
-        const matches = this.matchesTag(streamerInfo, blockedTag);
+    if (this.tagEnabled && this.tagRules.length > 0) {
+      const tagMatch = this.tagRules.find(rule => {
+        const matches = isRuleInScope(rule.entry, scope) && this.matchesTag(streamerInfo, rule);
         if (matches) {
-          this.log(`MATCH! Tag "${blockedTag}" matches in: ${streamerInfo.title || streamerInfo.tags.join(', ')}`);
+          this.log(`MATCH! Tag "${rule.entry.value}" (${rule.entry.matchMode}) matches in: ${streamerInfo.title || streamerInfo.tags.join(', ')}`);
         }
         return matches;
       });
       
-      if (tagMatch) return true;
+      if (tagMatch) return this.createCardMatch(tagMatch.entry, `태그 #${tagMatch.entry.value}`, 'blockedTags');
+    }
+
+    // 제목 키워드 차단 검사
+    if (this.keywordEnabled && this.keywordRules.length > 0) {
+      const keywordMatch = this.keywordRules.find(rule => {
+        const matches = isRuleInScope(rule.entry, scope) && matchesInfoFields(streamerInfo, rule.test, this.ruleTargets.keyword);
+        if (matches) {
+          this.log(`MATCH! Keyword "${rule.entry.value}" (${rule.entry.matchMode}) matches in: ${streamerInfo.title}`);
+        }
+        return matches;
+      });
+
+      if (keywordMatch) return this.createCardMatch(keywordMatch.entry, `제목 키워드 "${keywordMatch.entry.value}"`, 'blockedKeywords');
+    }
+
+    // 카테고리 차단 검사
+    if (this.categoryEnabled && this.categoryRules.length > 0) {
+      const categoryMatch = this.categoryRules.find(rule => {
+        const matches = isRuleInScope(rule.entry, scope) && matchesInfoFields(streamerInfo, rule.test, this.ruleTargets.category);
+        if (matches) {
+          this.log(`MATCH! Category "${rule.entry.value}" (${rule.entry.matchMode}) matches: ${streamerInfo.category}`);
+        }
+        return matches;
+      });
+
+      if (categoryMatch) return this.createCardMatch(categoryMatch.entry, `카테고리 ${categoryMatch.entry.value}`, 'blockedCategories');
+    }
+
+    // 허용 목록 모드: 차단 규칙에 걸리지 않은 카드 중 허용 목록에 없는 카드를 숨김 (차단 목록이 우선)
+    if (this.allowlistEnabled && !this.isAllowedCard(streamerInfo)) {
+      return this.createCardMatch(null, '허용 목록에 없음');
     }
     
+    return null;
+  }
+
+  // 카드가 속한 영역: 사이드바, 다시보기 카드, 그 외에는 현재 페이지 영역
+  getCardScope(card, streamerInfo) {
+    if (card.closest(this.selectors.sidebar)) return 'sidebar';
+    if (streamerInfo.isVideo) return 'vod';
+    return this.pageScope;
+  }
+
+  // 규칙에 숨기기 방식이 지정되어 있으면 전역 설정 대신 사용
+  // ruleKey: 규칙 통계 키 (허용 목록 모드로 숨긴 카드는 규칙이 없으므로 빈 문자열)
+  createCardMatch(entry, reason, storageKey) {
+    return {
+      reason,
+      hideMode: entry && entry.hideMode ? normalizeHideMode(entry.hideMode) : this.hideMode,
+      ruleKey: entry ? getRuleStatKey(storageKey, entry) : '',
+      storageKey: entry ? storageKey : '',
+      entry
+    };
+  }
+
+  isAllowedCard(streamerInfo) {
+    // 채널 링크가 없는 요소는 방송 카드가 아닐 수 있으므로 숨기지 않음
+    if (!streamerInfo.channelId) return true;
+
+    const streamerAllowed = this.allowedStreamerRules.some(rule => this.matchesStreamer(streamerInfo, rule));
+    if (streamerAllowed) return true;
+
+    const categoryAllowed = this.allowedCategoryRules.some(rule =>
+      matchesInfoFields(streamerInfo, rule.test, this.ruleTargets.category)
+    );
+    if (categoryAllowed) return true;
+
+    this.log(`Not in allowlist: ${streamerInfo.name} (${streamerInfo.channelId})`);
     return false;
   }
 
+  // 카드 내용이 바뀌기 전까지는 추출한 정보를 재사용
+  getStreamerInfo(card) {
+    let info = this.cardInfoCache.get(card);
+    if (!info) {
+      info = this.extractStreamerInfo(card);
+      this.cardInfoCache.set(card, info);
+    }
+    return info;
+  }
+
   extractStreamerInfo(card) {
     const info = {
+      channelId: '',
       name: '',
+      nameFromLabel: false,
       title: '',
-      tags: []
+      category: '',
+      tags: [],
+      isVideo: false
     };
 
+    // 다시보기(VOD) 카드는 /video/{videoNo} 링크를 가짐
+    info.isVideo = !!(card.matches(this.selectors.videoLink) || card.querySelector(this.selectors.videoLink));
+
+    // Channel link: /live/{channelId} or /{channelId}
+    const links = card.matches(this.selectors.channelLink) ? [card] : [];
+    links.push(...card.querySelectorAll(this.selectors.channelLink));
+    for (let link of links) {
+      const channelId = extractChannelId(link.getAttribute('href'));
+      if (channelId) {
+        info.channelId = channelId;
+        this.log(`Found channel ID: "${info.channelId}"`);
+        break;
+      }
+    }
+
     // First try to find the specific name_text class for more accurate extraction
-    const nameTextElement = card.querySelector('[class*="name_text"]');
+    const nameTextElement = card.querySelector(this.selectors.name);
     if (nameTextElement) {
       const nameText = nameTextElement.textContent?.trim() || '';
       if (nameText && nameText.length > 0 && nameText.length < 50) {
         info.name = nameText;
+        info.nameFromLabel = true;
         this.log(`Found streamer name from name_text: "${info.name}"`);
       }
     }
 
-    // If no name found, use the fallback method but with better filtering
+    // If no name found, look only at channel/name related elements
     if (!info.name) {
-      const allElements = card.querySelectorAll('*');
-      
-      for (let element of allElements) {
-        const classList = element.classList;
-        const textContent = element.textContent?.trim() || '';
-        
-        if (!textContent) continue;
-        
-        // Look for streamer name in channel-related classes
-        if (this.hasClassContaining(classList, 'channel') || 
-            this.hasClassContaining(classList, 'name') ||
-            this.hasClassContaining(classList, 'ellipsis')) {
-          
-          const cleanName = textContent
-            .replace(/채널로 이동|channel|live|LIVE|라이브|인증 마크|스트리머|채널|방송/gi, '')
-            .replace(/\s+/g, ' ')
-            .trim();
-            
-          if (cleanName && cleanName.length > 0 && cleanName.length < 50 && !info.name) {
-            info.name = cleanName;
-            this.log(`Found streamer name: "${info.name}"`);
-          }
+      const nameElements = card.querySelectorAll(this.selectors.nameFallback);
+      for (let element of nameElements) {
+        const cleanName = (element.textContent || '')
+          .replace(/채널로 이동|channel|live|LIVE|라이브|인증 마크|스트리머|채널|방송/gi, '')
+          .replace(/\s+/g, ' ')
+          .trim();
+
+        if (cleanName && cleanName.length < 50) {
+          info.name = cleanName;
+          this.log(`Found streamer name: "${info.name}"`);
+          break;
         }
       }
     }
 
-    // Extract title and tags from all elements
-    const allElements = card.querySelectorAll('*');
-    for (let element of allElements) {
-      const classList = element.classList;
-      const textContent = element.textContent?.trim() || '';
-      
-      if (!textContent) continue;
-      
-      // Look for stream title
-      if (this.hasClassContaining(classList, 'title')) {
-        const cleanTitle = textContent
-          .replace(/라이브 엔드로 이동|live|stream|LIVE|라이브/gi, '')
-          .replace(/\s+/g, ' ')
-          .trim();
-          
-        if (cleanTitle && cleanTitle.length > 0 && !info.title) {
-          info.title = cleanTitle;
-          this.log(`Found stream title: "${info.title}"`);
-        }
+    // Stream title
+    for (let element of card.querySelectorAll(this.selectors.title)) {
+      const cleanTitle = (element.textContent || '')
+        .replace(/라이브 엔드로 이동|live|stream|LIVE|라이브/gi, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      if (cleanTitle) {
+        info.title = cleanTitle;
+        this.log(`Found stream title: "${info.title}"`);
+        break;
       }
-      
-      // Look for tags
-      if (this.hasClassContaining(classList, 'tag') || 
-          this.hasClassContaining(classList, 'category') ||
-          this.hasClassContaining(classList, 'genre')) {
-        
-        if (textContent.length > 0 && textContent.length < 20 && !info.tags.includes(textContent)) {
-          info.tags.push(textContent);
-        }
+    }
+
+    // Category (game/genre), kept separate from tags
+    for (let element of card.querySelectorAll(this.selectors.category)) {
+      const textContent = element.textContent?.trim() || '';
+      if (textContent && textContent.length < 40 && !element.querySelector(this.selectors.tag)) {
+        info.category = textContent;
+        this.log(`Found category: "${info.category}"`);
+        break;
       }
     }
 
-    // Extract additional tags from title
-    if (info.title) {
-      const titleWords = info.title.split(/[\s,\[\]()]+/).filter(word => 
-        word.length > 1 && word.length < 10 &&
-        !/^(the|and|or|in|on|at|to|for|of|with|by|그|이|을|를|의|에|는|가|한|수)$/i.test(word)
-      );
-      titleWords.forEach(word => {
-        if (!info.tags.includes(word)) {
-          info.tags.push(word);
-        }
-      });
+    // Tags
+    for (let element of card.querySelectorAll(this.selectors.tag)) {
+      if (element.matches(this.selectors.category)) continue;
+
+      const textContent = element.textContent?.trim() || '';
+      if (textContent.length > 0 && textContent.length < 20 && !info.tags.includes(textContent)) {
+        info.tags.push(textContent);
+      }
     }
 
     // Fallback: try to find any Korean or English name in the card
@@ -358,7 +771,7 @@ class ChzzkStreamerBlocker {
       const allText = card.textContent || '';
       const koreanMatch = allText.match(/[가-힣]{2,8}/);
       const englishMatch = allText.match(/[A-Za-z]{3,15}/);
-      
+
       if (koreanMatch) {
         const candidate = koreanMatch[0];
         // Exclude common words
@@ -377,31 +790,180 @@ class ChzzkStreamerBlocker {
     return info;
   }
 
-  hasClassContaining(classList, substring) {
-    for (let className of classList) {
-      if (className.toLowerCase().includes(substring.toLowerCase())) {
-        return true;
+  matchesStreamer(streamerInfo, rule) {
+    // 채널 ID를 알고 있으면 이름이 바뀌어도 ID로 비교
+    if (rule.entry.channelId && streamerInfo.channelId) {
+      return rule.entry.channelId === streamerInfo.channelId;
+    }
+    if (!rule.test) return false;
+
+    return matchesInfoFields(streamerInfo, rule.test, this.ruleTargets.streamer);
+  }
+
+  // 매칭된 카드 정보로 차단 항목 갱신 (마지막으로 본 이름, 이름만 있던 항목의 채널 ID)
+  rememberStreamer(blockedStreamer, streamerInfo) {
+    if (!streamerInfo.channelId || !streamerInfo.name || !streamerInfo.nameFromLabel) return;
+
+    let changed = false;
+    if (blockedStreamer.channelId === streamerInfo.channelId) {
+      if (blockedStreamer.displayName !== streamerInfo.name) {
+        this.log(`Streamer renamed: "${blockedStreamer.displayName}" -> "${streamerInfo.name}"`);
+        blockedStreamer.displayName = streamerInfo.name;
+        changed = true;
       }
+    } else if (!blockedStreamer.channelId && blockedStreamer.displayName === streamerInfo.name) {
+      this.log(`Channel ID learned for "${streamerInfo.name}": ${streamerInfo.channelId}`);
+      blockedStreamer.channelId = streamerInfo.channelId;
+      changed = true;
+    }
+
+    if (changed) {
+      this.scheduleSaveStreamers({ channelId: streamerInfo.channelId, name: streamerInfo.name });
     }
-    return false;
   }
 
-  matchesStreamer(streamerInfo, blockedName) {
-    const cleanBlockedName = blockedName.toLowerCase().trim();
-    const cleanStreamerName = streamerInfo.name.toLowerCase().trim();
-    
-    return cleanStreamerName.includes(cleanBlockedName) || 
-           cleanBlockedName.includes(cleanStreamerName) ||
-           streamerInfo.title.toLowerCase().includes(cleanBlockedName);
+  // 저장된 목록을 다시 읽어 바뀐 이름/채널 ID만 반영 (그사이 다른 곳에서 바뀐 목록을 덮어쓰지 않도록)
+  scheduleSaveStreamers(update) {
+    if (this.pendingStreamerUpdates.length === 0) {
+      this.pendingStreamerProfile = loadProfileIndex().then(index => index.activeProfileId);
+    }
+    this.pendingStreamerUpdates.push(update);
+
+    clearTimeout(this.saveStreamersTimer);
+    this.saveStreamersTimer = setTimeout(() => {
+      this.savePendingStreamerUpdates().catch(error => {
+        console.error('Failed to save streamer list:', error);
+      });
+    }, 1000);
   }
 
-  matchesTag(streamerInfo, blockedTag) {
-    const cleanBlockedTag = blockedTag.toLowerCase().trim();
-    
-    return streamerInfo.tags.some(tag => 
-      tag.toLowerCase().includes(cleanBlockedTag) || 
-      cleanBlockedTag.includes(tag.toLowerCase())
-    ) || streamerInfo.title.toLowerCase().includes(cleanBlockedTag);
+  async savePendingStreamerUpdates() {
+    const updates = this.pendingStreamerUpdates;
+    const queuedProfile = this.pendingStreamerProfile;
+    this.pendingStreamerUpdates = [];
+    this.pendingStreamerProfile = null;
+    const queuedProfileId = await queuedProfile;
+
+    // 그사이 프로필이 바뀌었으면 이전 프로필의 갱신을 새 프로필 목록에 쓰지 않음
+    const { activeProfileId } = await loadProfileIndex();
+    if (activeProfileId !== queuedProfileId) return;
+
+    const data = await settingsStorage.get('blockedStreamers');
+    const stored = normalizeStreamerList(data.blockedStreamers);
+    let changed = false;
+    stored.forEach(entry => {
+      updates.forEach(({ channelId, name }) => {
+        if (entry.channelId === channelId && entry.displayName !== name) {
+          entry.displayName = name;
+          changed = true;
+        } else if (!entry.channelId && entry.displayName === name) {
+          entry.channelId = channelId;
+          changed = true;
+        }
+      });
+    });
+
+    if (changed) {
+      await settingsStorage.set({ blockedStreamers: stored });
+    }
+  }
+
+  matchesTag(streamerInfo, rule) {
+    return matchesInfoFields(streamerInfo, rule.test, this.ruleTargets.tag);
+  }
+
+  // match: getCardMatch 결과 (null이면 표시)
+  setCardState(card, match) {
+    // Mark card as processed for debugging
+    card.classList.add('chzzk-blocker-processed');
+
+    if (!match || this.revealedCards.has(card)) {
+      this.cardMatches.delete(card);
+      this.clearCardState(card);
+      card.classList.toggle('chzzk-blocker-peek-other', this.peekMode);
+      return;
+    }
+    this.cardMatches.set(card, match);
+
+    // 숨긴 항목만 보기: 숨긴 카드는 테두리만 표시하고 나머지 카드는 CSS로 숨김
+    if (this.peekMode) {
+      this.clearCardState(card);
+      card.classList.add('chzzk-blocker-peek-match');
+      return;
+    }
+
+    if (match.hideMode === 'remove') {
+      this.clearCardOverlay(card);
+      this.setCardVisibility(card, false);
+      return;
+    }
+
+    this.setCardVisibility(card, true);
+
+    // 카드 선택자가 겹쳐 바깥/안쪽 카드가 모두 잡히면 바깥 카드에만 자리 표시
+    if (card.parentElement?.closest('.chzzk-blocker-placeholder, .chzzk-blocker-blurred')) {
+      this.clearCardOverlay(card);
+      return;
+    }
+    card.querySelectorAll('.chzzk-blocker-placeholder, .chzzk-blocker-blurred').forEach(inner => {
+      this.clearCardOverlay(inner);
+    });
+
+    card.classList.toggle('chzzk-blocker-placeholder', match.hideMode === 'placeholder');
+    card.classList.toggle('chzzk-blocker-blurred', match.hideMode === 'blur');
+    this.markBlurTitles(card, match.hideMode === 'blur');
+    this.renderCardOverlay(card, match.reason);
+  }
+
+  // "숨김: 사유 [보기]" 안내 (카드가 링크이므로 클릭이 페이지 이동으로 이어지지 않게 막음)
+  // 클래스 이름에 card/item을 넣지 않음 (findStreamCards 선택자에 걸리지 않도록)
+  renderCardOverlay(card, reason) {
+    let overlay = card.querySelector(':scope > .chzzk-blocker-veil');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.className = 'chzzk-blocker-veil';
+
+      const label = document.createElement('span');
+      label.className = 'chzzk-blocker-veil-reason';
+
+      const revealBtn = document.createElement('button');
+      revealBtn.type = 'button';
+      revealBtn.className = 'chzzk-blocker-veil-reveal';
+      revealBtn.textContent = '보기';
+
+      overlay.append(label, revealBtn);
+      overlay.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.target === revealBtn) {
+          this.revealCard(card);
+        }
+      }, true);
+      card.prepend(overlay);
+    }
+
+    // 같은 내용이면 다시 쓰지 않음 (불필요한 DOM 변경 방지)
+    const label = overlay.querySelector('.chzzk-blocker-veil-reason');
+    if (label.textContent !== `숨김: ${reason}`) label.textContent = `숨김: ${reason}`;
+  }
+
+  // 흐림 대상 제목은 선택자 묶음의 title 선택자로 찾아 표시 (CSS에 사이트 클래스를 박아 두지 않도록)
+  markBlurTitles(card, blurred) {
+    card.querySelectorAll('.chzzk-blocker-blur-title').forEach(el => el.classList.remove('chzzk-blocker-blur-title'));
+    if (!blurred) return;
+    card.querySelectorAll(this.selectors.title).forEach(el => el.classList.add('chzzk-blocker-blur-title'));
+  }
+
+  clearCardOverlay(card) {
+    card.classList.remove('chzzk-blocker-placeholder', 'chzzk-blocker-blurred');
+    this.markBlurTitles(card, false);
+    card.querySelector(':scope > .chzzk-blocker-veil')?.remove();
+  }
+
+  clearCardState(card) {
+    this.clearCardOverlay(card);
+    this.setCardVisibility(card, true);
+    card.classList.remove('chzzk-blocker-peek-match', 'chzzk-blocker-peek-other');
   }
 
   setCardVisibility(card, visible) {
@@ -435,160 +997,602 @@ class ChzzkStreamerBlocker {
   }
 
   showAllStreamCards() {
-    const hiddenCards = document.querySelectorAll('.chzzk-blocker-hidden');
+    const hiddenCards = document.querySelectorAll(`${HIDDEN_CARD_SELECTOR}, .chzzk-blocker-peek-other`);
     hiddenCards.forEach(card => {
-      card.style.removeProperty('display');
-      card.classList.remove('chzzk-blocker-hidden');
+      this.clearCardState(card);
     });
+    this.scheduleHiddenCountReport();
   }
 
   setupContextMenu() {
     this.log('Setting up native context menu...');
-    
-    // Store current target for context menu
-    this.lastRightClickedCard = null;
 
-    // Add context menu to existing stream cards
-    this.addContextMenuToCards();
+    // 우클릭한 카드로 만든 메뉴 항목 ID → 실행할 동작
+    this.contextMenuActions = new Map();
+
+    // 카드마다 리스너를 붙이지 않고 문서에서 한 번에 처리 (나중에 추가된 카드 포함)
+    document.addEventListener('contextmenu', (e) => {
+      const card = e.target.closest?.(this.selectors.card);
+      // 카드가 아닌 곳이면 빈 메뉴를 보내 이전 카드의 항목을 지움 (이미 비어 있으면 생략)
+      if (!card && this.contextMenuActions.size === 0) return;
+
+      const menus = card ? this.buildCardMenu(card) : [];
+      if (!card) this.contextMenuActions.clear();
+
+      // 백그라운드 스크립트에 메뉴 다시 만들기 요청 (오류 무시)
+      chrome.runtime.sendMessage({
+        action: "updateContextMenu",
+        root: CARD_MENU_ROOT,
+        menus
+      }).catch(error => {
+        // 초기 로드 시 connection 오류 무시
+        console.debug('Context menu update failed:', error);
+      });
+    }, true);
 
     this.log('Native context menu setup complete');
   }
 
-  addContextMenuToCards() {
-    const streamCards = this.findStreamCards();
-    this.log(`Adding context menu to ${streamCards.length} stream cards`);
-    
-    streamCards.forEach(card => {
-      if (!card.hasAttribute('data-chzzk-context-menu')) {
-        card.setAttribute('data-chzzk-context-menu', 'true');
-        
-        card.addEventListener('contextmenu', (e) => {
-          // 우클릭된 카드 저장 (네이티브 컨텍스트 메뉴에서 사용)
-          this.lastRightClickedCard = card;
-          
-          // 스트리머 이름 찾기
-          const streamerInfo = this.extractStreamerInfo(card);
-          
-          if (streamerInfo.name) {
-            // 현재 차단 상태에 따라 컨텍스트 메뉴 텍스트 업데이트
-            const isBlocked = this.blockedStreamers.includes(streamerInfo.name);
-            const menuTitle = isBlocked ? "스트리머 숨기기 해제" : "스트리머 숨기기";
-            
-            // 백그라운드 스크립트에 메뉴 업데이트 요청 (오류 무시)
-            chrome.runtime.sendMessage({
-              action: "updateContextMenu",
-              title: menuTitle
-            }).catch(error => {
-              // 초기 로드 시 connection 오류 무시
-              console.debug('Context menu update failed:', error);
-            });
-          }
+  // 우클릭한 카드로 하위 메뉴 구성: 스트리머, 태그별, 카테고리 숨기기와 잠시 숨기기,
+  // 카드에 이미 일치하는 규칙이 있으면 규칙마다 "숨기기 해제"
+  buildCardMenu(card) {
+    const streamerInfo = this.getStreamerInfo(card);
+    const menus = [{ id: CARD_MENU_ROOT, title: '치지직 숨기기' }];
+    this.contextMenuActions.clear();
+
+    const addItem = (id, title, action, parentId = CARD_MENU_ROOT) => {
+      const menuId = `${CARD_MENU_ROOT}:${id}`;
+      menus.push({ id: menuId, parentId, title });
+      if (action) this.contextMenuActions.set(menuId, action);
+    };
+
+    this.getCardBlockOptions(streamerInfo).forEach(option => {
+      addItem(option.id, option.title, option.action);
+
+      // 스트리머 숨기기 바로 아래에 잠시 숨기기 하위 메뉴
+      if (option.id === 'hideStreamer') {
+        const snoozeParent = `${CARD_MENU_ROOT}:snooze`;
+        addItem('snooze', `잠시 숨기기: ${getStreamerLabel(this.toStreamerEntry(streamerInfo))}`);
+        Object.keys(SNOOZE_DURATIONS).forEach(duration => {
+          addItem(`snooze:${duration}`, SNOOZE_DURATIONS[duration].label, () => this.snoozeStreamer(streamerInfo, duration), snoozeParent);
         });
-        
-        this.log('Added context menu to stream card');
+        addItem('snooze:custom', '직접 입력...', () => this.snoozeStreamer(streamerInfo, 'custom'), snoozeParent);
       }
     });
+
+    const matches = this.getMatchingRules(card);
+    if (matches.length > 0 && menus.length > 1) {
+      menus.push({ id: `${CARD_MENU_ROOT}:separator`, parentId: CARD_MENU_ROOT, type: 'separator' });
+    }
+    matches.forEach((match, index) => {
+      const label = `숨기기 해제: ${match.label}`;
+      addItem(`unblock:${index}`, label, () => this.removeRule(match.storageKey, match.entry, label));
+    });
+
+    return menus;
   }
 
-  async handleContextMenuAction() {
-    this.log('handleContextMenuAction called');
-    if (!this.lastRightClickedCard) {
-      this.log('No lastRightClickedCard found');
+  // 카드에서 숨길 수 있는 항목: 스트리머, 태그 각각, 카테고리 (이미 같은 규칙이 있으면 제외)
+  // 우클릭 메뉴와 카드 위 숨기기 버튼에서 함께 사용
+  getCardBlockOptions(streamerInfo) {
+    const options = [];
+
+    if ((streamerInfo.name || streamerInfo.channelId) && !this.isStreamerBlocked(streamerInfo)) {
+      const label = getStreamerLabel(this.toStreamerEntry(streamerInfo));
+      options.push({ id: 'hideStreamer', title: `스트리머 숨기기: ${label}`, action: () => this.blockStreamer(streamerInfo) });
+    }
+
+    streamerInfo.tags.forEach((tag, index) => {
+      const entry = { value: tag, matchMode: DEFAULT_MATCH_MODE };
+      if (this.blockedTags.some(blocked => isSamePattern(blocked, entry))) return;
+      options.push({
+        id: `hideTag:${index}`,
+        title: `태그 숨기기: #${tag}`,
+        action: () => this.addRule('blockedTags', entry, `태그 숨김: #${tag}`)
+      });
+    });
+
+    if (streamerInfo.category && !this.isCategoryBlocked(streamerInfo)) {
+      const entry = this.toCategoryEntry(streamerInfo);
+      options.push({
+        id: 'hideCategory',
+        title: `카테고리 숨기기: ${entry.value}`,
+        action: () => this.addRule('blockedCategories', entry, `카테고리 숨김: ${entry.value}`)
+      });
+    }
+
+    return options;
+  }
+
+  // 카드에 일치하는 모든 차단 규칙 (getCardMatch는 처음 일치한 규칙만 반환)
+  getMatchingRules(card) {
+    if (!this.masterEnabled) return [];
+
+    const streamerInfo = this.getStreamerInfo(card);
+    const scope = this.getCardScope(card, streamerInfo);
+    const kinds = [
+      {
+        enabled: this.streamerEnabled, rules: this.streamerRules, storageKey: 'blockedStreamers', label: '스트리머',
+        describe: getStreamerLabel,
+        matches: rule => this.matchesStreamer(streamerInfo, rule)
+      },
+      {
+        enabled: this.tagEnabled, rules: this.tagRules, storageKey: 'blockedTags', label: '태그',
+        describe: entry => `#${entry.value}`,
+        matches: rule => this.matchesTag(streamerInfo, rule)
+      },
+      {
+        enabled: this.keywordEnabled, rules: this.keywordRules, storageKey: 'blockedKeywords', label: '제목 키워드',
+        describe: entry => `"${entry.value}"`,
+        matches: rule => matchesInfoFields(streamerInfo, rule.test, this.ruleTargets.keyword)
+      },
+      {
+        enabled: this.categoryEnabled, rules: this.categoryRules, storageKey: 'blockedCategories', label: '카테고리',
+        describe: entry => entry.value,
+        matches: rule => matchesInfoFields(streamerInfo, rule.test, this.ruleTargets.category)
+      }
+    ];
+
+    return kinds.filter(kind => kind.enabled).flatMap(kind => kind.rules
+      .filter(rule => isRuleInScope(rule.entry, scope) && kind.matches(rule))
+      .map(rule => ({
+        storageKey: kind.storageKey,
+        entry: rule.entry,
+        label: `${kind.label} ${kind.describe(rule.entry)}` +
+          (rule.entry.matchMode !== DEFAULT_MATCH_MODE ? ` (${MATCH_MODE_LABELS[rule.entry.matchMode]})` : '') +
+          (rule.entry.expiresAt ? ` (${formatRemainingTime(rule.entry.expiresAt)} 남음)` : '')
+      })));
+  }
+
+  toStreamerEntry(streamerInfo) {
+    return {
+      channelId: streamerInfo.channelId,
+      displayName: streamerInfo.name,
+      matchMode: DEFAULT_MATCH_MODE
+    };
+  }
+
+  isStreamerBlocked(streamerInfo) {
+    const target = this.toStreamerEntry(streamerInfo);
+    return this.blockedStreamers.some(entry => isSameStreamer(entry, target));
+  }
+
+  toCategoryEntry(streamerInfo) {
+    return { value: streamerInfo.category, matchMode: DEFAULT_MATCH_MODE };
+  }
+
+  isCategoryBlocked(streamerInfo) {
+    if (!streamerInfo.category) return false;
+    const target = this.toCategoryEntry(streamerInfo);
+    return this.blockedCategories.some(entry => isSamePattern(entry, target));
+  }
+
+  async handleContextMenuAction(menuItemId) {
+    this.log('handleContextMenuAction called', menuItemId);
+    const action = this.contextMenuActions.get(menuItemId);
+    if (!action) {
+      this.log('No action for menu item', menuItemId);
       return;
     }
+    await action();
+  }
 
-    const streamerInfo = this.extractStreamerInfo(this.lastRightClickedCard);
-    this.log('Extracted streamer info:', streamerInfo);
-    
-    if (!streamerInfo.name) {
-      this.log('No streamer name found');
+  // 단축키 대상: 마우스를 올리거나(mouseover) 키보드로 포커스한(focusin) 카드 중 마지막 것
+  setupCommandTarget() {
+    const track = (e) => {
+      // 카드 위 숨기기 버튼/메뉴로 옮겨 가는 동안에는 대상 카드 유지
+      if (e.target.closest?.('.chzzk-blocker-hover')) return;
+      this.commandTargetCard = e.target.closest?.(this.selectors.card) || null;
+      if (e.type === 'mouseover') this.updateHoverButton();
+    };
+    document.addEventListener('mouseover', track, true);
+    document.addEventListener('focusin', track, true);
+
+    // 메뉴 밖을 누르거나 스크롤하면 닫음 (카드 위치가 바뀌므로 버튼도 숨김)
+    // 버튼 요소는 페이지가 지우면 다시 만들므로 리스너는 여기서 한 번만 등록
+    document.addEventListener('mousedown', (e) => {
+      if (this.hoverMenuOpen && !this.hoverElement?.contains(e.target)) this.hideHoverButton();
+    }, true);
+    window.addEventListener('scroll', () => {
+      if (this.hoverElement) this.hideHoverButton();
+    }, { capture: true, passive: true });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.hoverMenuOpen) this.hideHoverButton();
+    }, true);
+  }
+
+  // 카드 위 숨기기 버튼: 카드마다 넣지 않고 body에 하나만 두고 마우스를 올린 카드 위에 띄움
+  // (카드 DOM과 레이아웃, 카드의 클릭 처리에 영향을 주지 않음)
+  updateHoverButton() {
+    const card = this.hoverButtonEnabled ? this.commandTargetCard : null;
+    if (this.hoverMenuOpen) return;
+    if (!card || card.matches(HIDDEN_CARD_SELECTOR)) {
+      this.hideHoverButton();
       return;
     }
 
-    try {
-      const isBlocked = this.blockedStreamers.includes(streamerInfo.name);
-      this.log('Streamer blocked status:', isBlocked);
-      
-      if (isBlocked) {
-        // 스트리머 차단 해제
-        const index = this.blockedStreamers.indexOf(streamerInfo.name);
-        if (index > -1) {
-          this.blockedStreamers.splice(index, 1);
-        }
-        this.log('Unblocking streamer:', streamerInfo.name);
+    const hover = this.getHoverElement();
+    const rect = card.getBoundingClientRect();
+    if (rect.width < 80 || rect.height < 40) {
+      this.hideHoverButton();
+      return;
+    }
+    hover.style.top = `${Math.max(rect.top + 6, 0)}px`;
+    hover.style.left = `${rect.right - 6}px`;
+    hover.classList.add('visible');
+    this.hoverButtonCard = card;
+  }
+
+  getHoverElement() {
+    if (this.hoverElement?.isConnected) return this.hoverElement;
+
+    const hover = document.createElement('div');
+    hover.className = 'chzzk-blocker-hover';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'chzzk-blocker-hover-btn';
+    button.textContent = '🚫';
+    button.title = '숨기기';
+
+    const menu = document.createElement('div');
+    menu.className = 'chzzk-blocker-hover-menu';
+
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.hoverMenuOpen) {
+        this.closeHoverMenu();
       } else {
-        // 스트리머 차단 추가
-        if (!this.blockedStreamers.includes(streamerInfo.name)) {
-          this.blockedStreamers.push(streamerInfo.name);
-        }
-        this.log('Blocking streamer:', streamerInfo.name);
+        this.openHoverMenu();
       }
+    });
+    hover.append(button, menu);
+    document.body.appendChild(hover);
+
+    this.hoverElement = hover;
+    this.hoverMenu = menu;
+    return hover;
+  }
 
-      // 스토리지에 저장
-      await chrome.storage.sync.set({ 
-        blockedStreamers: this.blockedStreamers 
+  openHoverMenu() {
+    const card = this.hoverButtonCard;
+    if (!card?.isConnected) return;
+
+    const options = this.getCardBlockOptions(this.getStreamerInfo(card));
+    this.hoverMenu.innerHTML = '';
+    if (options.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'chzzk-blocker-hover-empty';
+      empty.textContent = '숨길 수 있는 항목이 없습니다';
+      this.hoverMenu.appendChild(empty);
+    }
+    options.forEach(option => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'chzzk-blocker-hover-item';
+      item.textContent = option.title;
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.hideHoverButton();
+        option.action();
       });
+      this.hoverMenu.appendChild(item);
+    });
 
-      // 차단 리스트 업데이트 및 재처리
-      this.applyBlocking();
+    this.hoverMenu.classList.add('open');
+    this.hoverMenuOpen = true;
+  }
+
+  closeHoverMenu() {
+    this.hoverMenu?.classList.remove('open');
+    this.hoverMenuOpen = false;
+  }
+
+  hideHoverButton() {
+    this.closeHoverMenu();
+    this.hoverElement?.classList.remove('visible');
+    this.hoverButtonCard = null;
+  }
+
+  async blockCommandTarget() {
+    const card = this.commandTargetCard?.isConnected ? this.commandTargetCard : null;
+    if (!card) {
+      this.showToast('숨길 방송 카드에 마우스를 올리거나 포커스를 둔 뒤 다시 눌러 주세요.');
+      return;
+    }
+
+    const streamerInfo = this.getStreamerInfo(card);
+    if (!streamerInfo.name && !streamerInfo.channelId) {
+      this.showToast('이 카드에서 스트리머를 찾지 못했습니다.');
+      return;
+    }
+    if (this.isStreamerBlocked(streamerInfo)) {
+      this.showToast(`이미 숨긴 스트리머입니다: ${getStreamerLabel(this.toStreamerEntry(streamerInfo))}`);
+      return;
+    }
+    await this.blockStreamer(streamerInfo);
+  }
+
+  // 숨긴 항목만 보기 전환 (다시 누르면 원래대로)
+  togglePeekMode() {
+    if (!this.peekMode && (!this.masterEnabled || !this.hasActiveRules())) {
+      this.showToast('숨기기 규칙이 없거나 꺼져 있습니다.');
+      return;
+    }
+
+    this.peekMode = !this.peekMode;
+    this.showToast(this.peekMode
+      ? `숨긴 항목만 보는 중 (${this.getHiddenCards().length}개, 다시 누르면 돌아감)`
+      : '숨긴 항목만 보기를 끝냈습니다.');
+    this.applyBlocking();
+  }
+
+  async blockStreamer(streamerInfo) {
+    const target = this.toStreamerEntry(streamerInfo);
+    this.log('Blocking streamer:', streamerInfo.name, streamerInfo.channelId);
+    await this.changeRuleList('blockedStreamers', {
+      added: [target],
+      removed: [],
+      label: `스트리머 숨김: ${getStreamerLabel(target)}`
+    });
+  }
+
+  // 정해진 기간(1h/1d/1w) 또는 직접 입력한 기간 동안만 숨기기
+  async snoozeStreamer(streamerInfo, duration) {
+    let durationMs = SNOOZE_DURATIONS[duration]?.ms || 0;
+    if (duration === 'custom') {
+      const input = prompt('숨길 기간을 입력하세요 (예: 30m, 2h, 3d, 1w)', '2h');
+      if (input === null) return;
+      durationMs = parseDurationInput(input);
+    }
+    if (!durationMs) {
+      alert('올바른 기간을 입력해주세요.');
+      return;
+    }
+
+    const target = this.toStreamerEntry(streamerInfo);
+    const snoozed = { ...target, expiresAt: Date.now() + durationMs };
+    this.log('Snoozing streamer:', streamerInfo.name, formatRemainingTime(snoozed.expiresAt));
+    await this.changeRuleList('blockedStreamers', {
+      added: [snoozed],
+      removed: this.blockedStreamers.filter(entry => isSameStreamer(entry, target)),
+      label: `스트리머 ${formatRemainingTime(snoozed.expiresAt)} 숨김: ${getStreamerLabel(target)}`
+    });
+  }
+
+  async addRule(storageKey, entry, label) {
+    this.log('Adding rule:', storageKey, entry);
+    await this.changeRuleList(storageKey, { added: [entry], removed: [], label });
+  }
 
+  async removeRule(storageKey, entry, label) {
+    this.log('Removing rule:', storageKey, entry);
+    await this.changeRuleList(storageKey, { added: [], removed: [entry], label });
+  }
+
+  // 저장된 목록에서 removed와 같은 항목을 빼고 added를 더해 저장한 뒤 다시 적용하고 되돌리기 기록
+  // 다른 탭에서 바꾼 내용을 덮어쓰지 않도록 이 탭의 목록이 아니라 저장소의 목록을 다시 읽어서 변경
+  // (목록 속성 이름은 저장소 키와 같음: this.blockedStreamers 등)
+  async changeRuleList(storageKey, change) {
+    const isSame = LIST_ENTRY_COMPARERS[storageKey];
+    change = { ...change, added: change.added.map(entry => withEntryInfo(entry, 'contextMenu')) };
+    const previous = this[storageKey];
+    try {
+      const data = await settingsStorage.get(storageKey);
+      const stored = PROFILE_LIST_NORMALIZERS[storageKey](data[storageKey]);
+      const requested = change.removed;
+      const isRemoved = entry => requested.some(removed => isSame(entry, removed));
+      // 되돌리기로 메모와 라벨까지 복원되도록 저장된 항목을 기록
+      change = { ...change, removed: stored.filter(isRemoved) };
+      this[storageKey] = [...stored.filter(entry => !isRemoved(entry)), ...change.added];
+      this.compileRules();
+
+      await settingsStorage.set({ [storageKey]: this[storageKey] });
+
+      this.applyBlocking();
+      this.recordUndoableChange(storageKey, change);
     } catch (error) {
-      console.error('스트리머 차단 설정 오류:', error);
+      console.error('규칙 변경 오류:', error);
+      // 저장하지 못했으면 페이지도 저장된 목록 기준으로 되돌림
+      this[storageKey] = previous;
+      this.compileRules();
+      this.applyBlocking();
+      this.checkBlockedPage();
+      showPageToast(`저장하지 못했습니다: ${change.label} (${error.message})`);
     }
-    
-    // 초기화
-    this.lastRightClickedCard = null;
   }
 
-  // 토스트 메시지 표시
-  showToast(message) {
-    this.log('Showing toast:', message);
-    // 기존 토스트가 있으면 제거
-    const existingToast = document.getElementById('chzzk-blocker-toast');
-    if (existingToast) {
-      existingToast.remove();
-    }
-
-    const toast = document.createElement('div');
-    toast.id = 'chzzk-blocker-toast';
-    toast.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: #333;
-      color: white;
-      padding: 12px 20px;
-      border-radius: 8px;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-      z-index: 10000;
-      font-size: 14px;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-      opacity: 0;
-      transform: translateX(100px);
-      transition: all 0.3s ease;
-      max-width: 300px;
-      word-wrap: break-word;
-    `;
-    toast.textContent = message;
-    
-    document.body.appendChild(toast);
-    
-    // 애니메이션으로 표시
-    setTimeout(() => {
-      toast.style.opacity = '1';
-      toast.style.transform = 'translateX(0)';
-    }, 10);
-    
-    // 3초 후 자동 제거
-    setTimeout(() => {
-      toast.style.opacity = '0';
-      toast.style.transform = 'translateX(100px)';
-      setTimeout(() => {
-        if (toast.parentNode) {
-          toast.remove();
+  // 되돌리기 기록과 알림은 채팅 필터와 함께 쓰는 common.js의 recordPageUndo
+  recordUndoableChange(storageKey, change) {
+    recordPageUndo({ storageKey, ...change });
+  }
+
+  // SPA 라우트 변경 감지
+  // pushState는 페이지 쪽에서 호출되어 content script에서 가로챌 수 없으므로 DOM 변경/popstate 시점에 URL 비교
+  setupRouteWatcher() {
+    this.currentUrl = location.href;
+    // DOM 변경에 따른 확인은 카드 observer(handleMutations)에서 함께 처리
+    window.addEventListener('popstate', () => this.checkRouteChange());
+    this.handleRouteChange();
+  }
+
+  checkRouteChange() {
+    if (location.href !== this.currentUrl) {
+      this.currentUrl = location.href;
+      this.handleRouteChange();
+    } else if (this.pageCheckPending) {
+      // 이름으로만 등록된 스트리머는 이름 요소가 렌더링된 후에 판단 가능
+      this.checkBlockedPage();
+    }
+  }
+
+  handleRouteChange() {
+    this.log('Route changed:', location.pathname);
+
+    // 페이지 영역이 바뀌면 범위가 지정된 규칙을 다시 적용
+    const pageScope = getPageScope(location.pathname);
+    if (pageScope !== this.pageScope) {
+      this.pageScope = pageScope;
+      this.applyBlocking();
+    }
+
+    const channelId = extractChannelId(location.pathname);
+    if (channelId !== this.showOnceChannelId) {
+      this.showOnceChannelId = '';
+    }
+    this.checkBlockedPage();
+  }
+
+  // 현재 페이지가 스트리머의 라이브(/live/{channelId}) 또는 채널(/{channelId}) 페이지이면 정보 반환
+  getStreamerPageInfo() {
+    const channelId = extractChannelId(location.pathname);
+    if (!channelId) return null;
+
+    const nameElement = document.querySelector(this.selectors.streamerPageName);
+    const name = nameElement?.textContent?.trim() || '';
+    return {
+      channelId,
+      name,
+      nameFromLabel: !!name,
+      title: '',
+      category: '',
+      tags: []
+    };
+  }
+
+  // 차단한 스트리머의 페이지이면 전체 화면 안내를 표시
+  checkBlockedPage() {
+    this.pageCheckPending = false;
+    const pageInfo = this.getStreamerPageInfo();
+
+    if (!pageInfo || !this.masterEnabled || !this.streamerEnabled ||
+        pageInfo.channelId === this.showOnceChannelId) {
+      this.removeInterstitial();
+      return;
+    }
+
+    // 라이브/채널 페이지는 특정 영역이 아니므로 범위가 지정되지 않은 규칙만 적용
+    const rule = this.streamerRules.find(streamerRule =>
+      isRuleInScope(streamerRule.entry, this.pageScope) && this.matchesStreamer(pageInfo, streamerRule)
+    );
+    if (rule) {
+      this.showInterstitial(rule, pageInfo);
+      return;
+    }
+
+    this.removeInterstitial();
+    if (!pageInfo.name && this.streamerRules.some(streamerRule => !streamerRule.entry.channelId)) {
+      this.pageCheckPending = true;
+    }
+  }
+
+  showInterstitial(rule, pageInfo) {
+    this.pausePlayers();
+    if (this.interstitial && this.interstitial.dataset.channelId === pageInfo.channelId) return;
+    this.removeInterstitial();
+
+    const label = getStreamerLabel(rule.entry) || pageInfo.name;
+    const overlay = document.createElement('div');
+    overlay.id = 'chzzk-blocker-interstitial';
+    overlay.dataset.channelId = pageInfo.channelId;
+
+    const box = document.createElement('div');
+    box.className = 'chzzk-blocker-interstitial-box';
+
+    const title = document.createElement('div');
+    title.className = 'chzzk-blocker-interstitial-title';
+    title.textContent = '🚫 숨긴 스트리머입니다';
+
+    const description = document.createElement('div');
+    description.className = 'chzzk-blocker-interstitial-desc';
+    description.textContent = `"${label}" 님은 숨기기 목록에 있습니다.`;
+
+    const actions = document.createElement('div');
+    actions.className = 'chzzk-blocker-interstitial-actions';
+    actions.appendChild(this.createInterstitialButton('뒤로 가기', 'primary', () => this.leaveBlockedPage()));
+    actions.appendChild(this.createInterstitialButton('이번만 보기', '', () => {
+      this.showOnceChannelId = pageInfo.channelId;
+      this.removeInterstitial(true);
+    }));
+    actions.appendChild(this.createInterstitialButton('숨기기 해제', '', () => this.unblockFromInterstitial(rule)));
+
+    box.append(title, description, actions);
+    overlay.appendChild(box);
+    document.body.appendChild(overlay);
+    this.interstitial = overlay;
+    this.log('Interstitial shown for', label);
+  }
+
+  createInterstitialButton(text, variant, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'chzzk-blocker-interstitial-btn' + (variant ? ` ${variant}` : '');
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // 플레이어는 "이번만 보기"와 "숨기기 해제"에서만 다시 재생
+  // (뒤로 가기나 페이지 이동 중에 지우는 경우 아직 남아 있는 차단한 방송의 소리가 잠깐 나지 않도록)
+  removeInterstitial(resume = false) {
+    if (!this.interstitial) return;
+    this.interstitial.remove();
+    this.interstitial = null;
+    this.releasePlayers(resume);
+  }
+
+  leaveBlockedPage() {
+    if (history.length > 1) {
+      history.back();
+    } else {
+      location.href = 'https://chzzk.naver.com/';
+    }
+  }
+
+  // 우클릭 메뉴의 해제와 같은 경로로 처리 (저장된 목록에서 비교하여 삭제, 되돌리기 기록)
+  async unblockFromInterstitial(rule) {
+    this.removeInterstitial(true);
+    await this.removeRule('blockedStreamers', rule.entry, `스트리머 숨기기 해제: ${getStreamerLabel(rule.entry)}`);
+  }
+
+  // 안내가 떠 있는 동안 플레이어가 재생되지 않도록 일시정지
+  pausePlayers() {
+    document.querySelectorAll('video').forEach(video => {
+      if (!video.paused) {
+        video.pause();
+        this.pausedVideos.add(video);
+      }
+    });
+    document.addEventListener('play', this.handleVideoPlay, true);
+  }
+
+  handleVideoPlay(event) {
+    if (this.interstitial && event.target instanceof HTMLMediaElement) {
+      event.target.pause();
+      this.pausedVideos.add(event.target);
+    }
+  }
+
+  releasePlayers(resume) {
+    document.removeEventListener('play', this.handleVideoPlay, true);
+    if (resume) {
+      this.pausedVideos.forEach(video => {
+        if (video.isConnected) {
+          video.play().catch(() => {
+            // 자동 재생이 막힌 경우 무시
+          });
         }
-      }, 300);
-    }, 3000);
+      });
+    }
+    this.pausedVideos.clear();
+  }
+
+  // 토스트 메시지 표시 (action: { label, onClick }을 주면 버튼을 붙이고 조금 더 오래 표시)
+  showToast(message, action = null) {
+    this.log('Showing toast:', message);
+    showPageToast(message, action);
   }
 
 }
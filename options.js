@@ -1,29 +1,240 @@
 document.addEventListener('DOMContentLoaded', function() {
     // 요소들
     const streamerInput = document.getElementById('streamerInput');
+    const streamerMatchMode = document.getElementById('streamerMatchMode');
+    const streamerDuration = document.getElementById('streamerDuration');
+    const streamerHideMode = document.getElementById('streamerHideMode');
+    const globalHideModeSelect = document.getElementById('hideMode');
+    const hoverButtonEnabledInput = document.getElementById('hoverButtonEnabled');
     const addStreamerBtn = document.getElementById('addStreamerBtn');
     const clearAllStreamers = document.getElementById('clearAllStreamers');
     const streamerList = document.getElementById('streamerList');
     const streamerSearch = document.getElementById('streamerSearch');
+    const streamerLabelFilter = document.getElementById('streamerLabelFilter');
     
-    const tagInput = document.getElementById('tagInput');
-    const addTagBtn = document.getElementById('addTagBtn');
-    const clearAllTags = document.getElementById('clearAllTags');
-    const tagList = document.getElementById('tagList');
-    const tagSearch = document.getElementById('tagSearch');
+    const ruleTargetsContainer = document.getElementById('ruleTargets');
+
+    const scheduleTargetSelect = document.getElementById('scheduleTarget');
+    const scheduleStartInput = document.getElementById('scheduleStart');
+    const scheduleEndInput = document.getElementById('scheduleEnd');
+    const scheduleDaysContainer = document.getElementById('scheduleDays');
+    const addScheduleBtn = document.getElementById('addScheduleBtn');
+    const scheduleList = document.getElementById('scheduleList');
     
     const streamerStatCount = document.getElementById('streamerStatCount');
     const tagStatCount = document.getElementById('tagStatCount');
+    const keywordStatCount = document.getElementById('keywordStatCount');
+    const categoryStatCount = document.getElementById('categoryStatCount');
+    const chatterStatCount = document.getElementById('chatterStatCount');
+
+    const allowlistModeInput = document.getElementById('allowlistModeEnabled');
+
+    const chatFilterEnabledInput = document.getElementById('chatFilterEnabled');
+    const chatFilterModeSelect = document.getElementById('chatFilterMode');
+    const chatRuleActionSelect = document.getElementById('chatRuleAction');
+    const chatRuleDonationsInput = document.getElementById('chatRuleDonations');
     
+    const profileSelect = document.getElementById('profileSelect');
+    const createProfileBtn = document.getElementById('createProfileBtn');
+    const cloneProfileBtn = document.getElementById('cloneProfileBtn');
+    const renameProfileBtn = document.getElementById('renameProfileBtn');
+    const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+
+    const exportScope = document.getElementById('exportScope');
+    const exportFormat = document.getElementById('exportFormat');
     const exportBtn = document.getElementById('exportBtn');
+    const importFormat = document.getElementById('importFormat');
     const importFile = document.getElementById('importFile');
     const importResult = document.getElementById('importResult');
+    const importPreview = document.getElementById('importPreview');
+
+    const streamerSort = document.getElementById('streamerSort');
+    const ruleStatsInfo = document.getElementById('ruleStatsInfo');
+    const staleDaysInput = document.getElementById('staleDays');
+    const cleanupStaleBtn = document.getElementById('cleanupStaleBtn');
+    const resetRuleStatsBtn = document.getElementById('resetRuleStatsBtn');
+
+    const storageUsageInfo = document.getElementById('storageUsageInfo');
+    const storageUsageBar = document.getElementById('storageUsageBar');
+    const storageWarning = document.getElementById('storageWarning');
+    const storageAreaLabel = document.getElementById('storageAreaLabel');
+    const moveToLocalBtn = document.getElementById('moveToLocalBtn');
+    const moveToSyncBtn = document.getElementById('moveToSyncBtn');
+    const storageResult = document.getElementById('storageResult');
+    const labelManagerList = document.getElementById('labelManagerList');
+
+    const shortcutList = document.getElementById('shortcutList');
+    const openShortcutsLink = document.getElementById('openShortcutsLink');
+
+    const selectorPackInfo = document.getElementById('selectorPackInfo');
+    const selectorFieldsContainer = document.getElementById('selectorFields');
+    const saveSelectorsBtn = document.getElementById('saveSelectorsBtn');
+    const resetSelectorsBtn = document.getElementById('resetSelectorsBtn');
+    const exportSelectorsBtn = document.getElementById('exportSelectorsBtn');
+    const importSelectorsFile = document.getElementById('importSelectorsFile');
+    const selectorResult = document.getElementById('selectorResult');
 
     // 전체 데이터 저장
     let allStreamers = [];
-    let allTags = [];
+
+    // 규칙 통계 (콘텐츠 스크립트가 chrome.storage.local에 기록)
+    let ruleStats = {};
+    let ruleStatsSince = 0;
+
+    // 라벨 색 (전역 설정)
+    let labelColors = {};
+
+    // 규칙 목록 정렬 방식 (통계 정렬은 통계를 기록하는 목록에서만)
+    const RULE_SORT_LABELS = {
+        added: '추가한 순서',
+        newest: '최근 추가한 날짜 순',
+        oldest: '오래전 추가한 날짜 순',
+        hits: '숨긴 횟수 많은 순',
+        recent: '최근 일치 순',
+        stale: '오래 일치 없는 순'
+    };
+    const RULE_STATS_SORT_MODES = ['hits', 'recent', 'stale'];
+
+    // 매칭 방식 선택 상자 채우기
+    fillMatchModeSelect(streamerMatchMode);
+    fillDurationSelect(streamerDuration);
+    fillHideModeSelect(streamerHideMode, true);
+    fillRuleSortSelect(streamerSort);
+
+    // 태그, 제목 키워드 목록 섹션
+    const tagSection = createPatternListSection({
+        storageKey: 'blockedTags',
+        prefix: 'tag',
+        label: '태그',
+        unit: '개',
+        emptyIcon: '🏷️',
+        itemClass: 'item-tag',
+        itemPrefix: '# ',
+        scopes: true
+    });
+    const keywordSection = createPatternListSection({
+        storageKey: 'blockedKeywords',
+        prefix: 'keyword',
+        label: '제목 키워드',
+        unit: '개',
+        emptyIcon: '🔤',
+        itemClass: 'item-keyword',
+        itemPrefix: '',
+        defaultMatchMode: 'contains',
+        scopes: true
+    });
+    const categorySection = createPatternListSection({
+        storageKey: 'blockedCategories',
+        prefix: 'category',
+        label: '카테고리',
+        unit: '개',
+        emptyIcon: '🎮',
+        itemClass: 'item-category',
+        itemPrefix: '',
+        clearAllSuffix: 'Categories',
+        scopes: true
+    });
+
+    // 허용 목록 모드의 허용 스트리머/카테고리 목록 섹션
+    const allowedStreamerSection = createRuleListSection({
+        storageKey: 'allowedStreamers',
+        prefix: 'allowedStreamer',
+        label: '스트리머',
+        statusLabel: '허용된',
+        unit: '명',
+        emptyIcon: '👤',
+        itemClass: 'item-allowed',
+        itemPrefix: '',
+        normalizeList: normalizeStreamerList,
+        isSame: isSameStreamer,
+        createEntry: (value, matchMode) => {
+            const channelId = parseChannelIdInput(value);
+            return channelId
+                ? { channelId, displayName: '', matchMode: DEFAULT_MATCH_MODE }
+                : { channelId: '', displayName: value, matchMode };
+        },
+        getLabel: getStreamerLabel,
+        getSearchText: entry => `${entry.displayName} ${entry.channelId}`,
+        renderExtra: (entry, searchTerm) => `
+            ${entry.channelId && entry.displayName ? `<span class="item-sub">${highlightText(entry.channelId, searchTerm)}</span>` : ''}
+            ${entry.displayName ? renderMatchModeBadge(entry.matchMode) : ''}
+        `
+    });
+    const allowedCategorySection = createPatternListSection({
+        storageKey: 'allowedCategories',
+        prefix: 'allowedCategory',
+        label: '카테고리',
+        statusLabel: '허용된',
+        unit: '개',
+        emptyIcon: '🎮',
+        itemClass: 'item-allowed',
+        itemPrefix: '',
+        clearAllSuffix: 'AllowedCategories'
+    });
+
+    // 채팅 차단 사용자 목록 섹션 (닉네임 또는 사용자 ID)
+    const chatterSection = createRuleListSection({
+        storageKey: 'blockedChatters',
+        prefix: 'chatter',
+        label: '채팅 사용자',
+        unit: '명',
+        emptyIcon: '💬',
+        itemClass: 'item-chatter',
+        itemPrefix: '',
+        normalizeList: normalizeChatterList,
+        isSame: isSameChatter,
+        createEntry: (value) => {
+            const userId = parseChannelIdInput(value);
+            return userId ? { userId, nickname: '' } : { userId: '', nickname: value };
+        },
+        getLabel: getChatterLabel,
+        getSearchText: entry => `${entry.nickname} ${entry.userId}`,
+        renderExtra: (entry, searchTerm) => entry.userId && entry.nickname
+            ? `<span class="item-sub">${highlightText(entry.userId, searchTerm)}</span>`
+            : ''
+    });
+
+    // 채팅 내용 규칙 목록 섹션 (규칙마다 매칭 방식과 동작 지정)
+    CHAT_RULE_ACTIONS.forEach(action => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = CHAT_RULE_ACTION_LABELS[action];
+        chatRuleActionSelect.appendChild(option);
+    });
+    chatRuleActionSelect.value = 'mask';
+
+    const chatRuleSection = createPatternListSection({
+        storageKey: 'chatRules',
+        prefix: 'chatRule',
+        label: '채팅 규칙',
+        unit: '개',
+        emptyIcon: '🙊',
+        itemClass: 'item-chat-rule',
+        itemPrefix: '',
+        defaultMatchMode: 'contains',
+        normalizeList: normalizeChatRuleList,
+        createEntry: (value, matchMode) => ({
+            value,
+            matchMode,
+            action: chatRuleActionSelect.value,
+            includeDonations: chatRuleDonationsInput.checked
+        }),
+        renderExtra: entry => `
+            ${renderMatchModeBadge(entry.matchMode)}
+            <span class="match-mode-badge">${escapeHtml(CHAT_RULE_ACTION_LABELS[entry.action])}</span>
+            ${entry.includeDonations ? '<span class="match-mode-badge">후원 포함</span>' : ''}
+        `
+    });
+
+    renderRuleTargets();
+    loadChatFilterOptions();
+    loadHideMode();
+    setupScheduleEditor();
+    loadShortcuts();
+    loadSelectorPack();
 
     // 초기 로드
+    loadProfiles();
     loadAllData();
 
     // 이벤트 리스너
@@ -33,41 +244,214 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     clearAllStreamers.addEventListener('click', clearAllStreamersList);
 
-    addTagBtn.addEventListener('click', addTags);
-    tagInput.addEventListener('keypress', function(e) {
-        if (e.key === 'Enter') addTags();
-    });
-    clearAllTags.addEventListener('click', clearAllTagsList);
-
     // 검색 이벤트 리스너
     streamerSearch.addEventListener('input', function() {
         searchStreamers(this.value);
     });
+    streamerSort.addEventListener('change', function() {
+        searchStreamers(streamerSearch.value);
+    });
+    streamerLabelFilter.addEventListener('change', function() {
+        searchStreamers(streamerSearch.value);
+    });
+
+    // 규칙 통계 이벤트 리스너
+    cleanupStaleBtn.addEventListener('click', cleanupStaleRules);
+    resetRuleStatsBtn.addEventListener('click', resetRuleStats);
 
-    tagSearch.addEventListener('input', function() {
-        searchTags(this.value);
+    // 저장 공간 이벤트 리스너
+    moveToLocalBtn.addEventListener('click', moveToLocalStorage);
+    moveToSyncBtn.addEventListener('click', moveToSyncStorage);
+
+    // 어디에서 저장하든(팝업, 우클릭 메뉴 등) 사용량을 다시 표시
+    let storageUsageTimer = null;
+    chrome.storage.onChanged.addListener(function() {
+        clearTimeout(storageUsageTimer);
+        storageUsageTimer = setTimeout(loadStorageUsage, 300);
     });
     
+    // 프로필 이벤트 리스너
+    profileSelect.addEventListener('change', function() {
+        changeProfile(this.value);
+    });
+    createProfileBtn.addEventListener('click', createProfile);
+    cloneProfileBtn.addEventListener('click', cloneProfile);
+    renameProfileBtn.addEventListener('click', renameProfile);
+    deleteProfileBtn.addEventListener('click', deleteProfile);
+
     // 내보내기/가져오기 이벤트 리스너
-    exportBtn.addEventListener('click', exportBlockList);
+    exportBtn.addEventListener('click', function() {
+        if (exportFormat.value === 'txt') {
+            exportBlockList();
+        } else {
+            exportBackup();
+        }
+    });
     importFile.addEventListener('change', importBlockList);
 
+    // 단축키 설정 페이지는 일반 링크로 열 수 없으므로 탭으로 열기
+    openShortcutsLink.addEventListener('click', function(e) {
+        e.preventDefault();
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+    // 단축키 설정 탭에서 바꾸고 돌아오면 다시 표시
+    window.addEventListener('focus', loadShortcuts);
+
+    // 사이트 선택자 이벤트 리스너
+    saveSelectorsBtn.addEventListener('click', saveSelectorOverrides);
+    resetSelectorsBtn.addEventListener('click', resetSelectorOverrides);
+    exportSelectorsBtn.addEventListener('click', exportSelectorPack);
+    importSelectorsFile.addEventListener('change', importSelectorPack);
+
     // 모든 데이터 로드
     async function loadAllData() {
+        await loadRuleStats();
+        await loadLabelManager();
+        await loadStorageUsage();
         await loadStats();
         await loadStreamerList();
-        await loadTagList();
+        await tagSection.load();
+        await keywordSection.load();
+        await categorySection.load();
+        await allowedStreamerSection.load();
+        await allowedCategorySection.load();
+        await chatterSection.load();
+        await chatRuleSection.load();
+        await loadAllowlistMode();
+    }
+
+    // 프로필 목록 로드
+    async function loadProfiles() {
+        try {
+            const { profiles, activeProfileId } = await loadProfileIndex();
+            profileSelect.innerHTML = '';
+            profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                profileSelect.appendChild(option);
+            });
+            profileSelect.value = activeProfileId;
+        } catch (error) {
+            console.error('프로필 로드 중 오류:', error);
+        }
+    }
+
+    // 활성 프로필 전환 후 화면 갱신 (열린 탭에는 백그라운드에서 알림)
+    async function changeProfile(profileId) {
+        try {
+            await switchProfile(profileId);
+            await loadProfiles();
+            await loadAllData();
+        } catch (error) {
+            console.error('프로필 전환 중 오류:', error);
+            alert('프로필 전환 중 오류가 발생했습니다.');
+        }
+    }
+
+    function promptProfileName(message, defaultName, profiles) {
+        const name = (prompt(message, defaultName) || '').trim();
+        if (!name) return '';
+        if (profiles.some(profile => profile.name === name)) {
+            alert(`이미 있는 프로필 이름입니다: ${name}`);
+            return '';
+        }
+        return name;
+    }
+
+    // 새 프로필 만들기 (빈 목록)
+    async function createProfile() {
+        await addProfile('새 프로필 이름을 입력하세요', '', {});
+    }
+
+    // 현재 프로필 복제
+    async function cloneProfile() {
+        try {
+            const { profiles, activeProfileId } = await loadProfileIndex();
+            const active = profiles.find(profile => profile.id === activeProfileId);
+            const data = await settingsStorage.get(PROFILE_KEYS);
+            await addProfile('복제할 프로필 이름을 입력하세요', `${active.name} 복사본`, data);
+        } catch (error) {
+            console.error('프로필 복제 중 오류:', error);
+        }
+    }
+
+    async function addProfile(message, defaultName, data) {
+        try {
+            const { profiles } = await loadProfileIndex();
+            const name = promptProfileName(message, defaultName, profiles);
+            if (!name) return;
+
+            const profile = { id: createProfileId(), name };
+            await settingsStorage.set({
+                profiles: [...profiles, profile],
+                ...toProfileArchive(profile.id, data)
+            });
+            await changeProfile(profile.id);
+        } catch (error) {
+            console.error('프로필 추가 중 오류:', error);
+            alert('프로필 추가 중 오류가 발생했습니다.');
+        }
+    }
+
+    async function renameProfile() {
+        try {
+            const { profiles, activeProfileId } = await loadProfileIndex();
+            const active = profiles.find(profile => profile.id === activeProfileId);
+            const name = promptProfileName('새 이름을 입력하세요', active.name, profiles.filter(profile => profile !== active));
+            if (!name) return;
+
+            await settingsStorage.set({
+                profiles: profiles.map(profile => profile.id === activeProfileId ? { ...profile, name } : profile)
+            });
+            await loadProfiles();
+        } catch (error) {
+            console.error('프로필 이름 변경 중 오류:', error);
+        }
+    }
+
+    // 현재 프로필 삭제 (다른 프로필로 전환한 뒤 삭제)
+    async function deleteProfile() {
+        try {
+            const { profiles, activeProfileId } = await loadProfileIndex();
+            if (profiles.length <= 1) {
+                alert('마지막 프로필은 삭제할 수 없습니다.');
+                return;
+            }
+            const active = profiles.find(profile => profile.id === activeProfileId);
+            if (!confirm(`"${active.name}" 프로필과 차단 목록을 삭제하시겠습니까?`)) return;
+
+            const next = profiles.find(profile => profile.id !== activeProfileId);
+            await switchProfile(next.id);
+            await settingsStorage.remove(getProfileStorageKeys(activeProfileId));
+            await settingsStorage.set({
+                profiles: profiles.filter(profile => profile.id !== activeProfileId)
+            });
+            await loadProfiles();
+            await loadAllData();
+        } catch (error) {
+            console.error('프로필 삭제 중 오류:', error);
+            alert('프로필 삭제 중 오류가 발생했습니다.');
+        }
     }
 
     // 통계 로드
     async function loadStats() {
         try {
-            const result = await chrome.storage.sync.get(['blockedStreamers', 'blockedTags']);
+            const result = await settingsStorage.get([
+                'blockedStreamers', 'blockedTags', 'blockedKeywords', 'blockedCategories', 'blockedChatters'
+            ]);
             const streamers = result.blockedStreamers || [];
             const tags = result.blockedTags || [];
+            const keywords = result.blockedKeywords || [];
+            const categories = result.blockedCategories || [];
+            const chatters = result.blockedChatters || [];
 
             streamerStatCount.textContent = streamers.length;
             tagStatCount.textContent = tags.length;
+            keywordStatCount.textContent = keywords.length;
+            categoryStatCount.textContent = categories.length;
+            chatterStatCount.textContent = chatters.length;
         } catch (error) {
             console.error('통계 로드 중 오류:', error);
         }
@@ -82,32 +466,48 @@ document.addEventListener('DOMContentLoaded', function() {
         }
 
         try {
-            const result = await chrome.storage.sync.get('blockedStreamers');
-            const blockedStreamers = result.blockedStreamers || [];
+            const result = await settingsStorage.get('blockedStreamers');
+            const blockedStreamers = normalizeStreamerList(result.blockedStreamers);
+            const matchMode = streamerMatchMode.value;
 
-            const streamerNames = input.split(',')
-                .map(name => name.trim())
-                .filter(name => name.length > 0);
+            const streamerNames = splitInput(input, matchMode);
 
             if (streamerNames.length === 0) {
                 alert('유효한 스트리머 이름을 입력해주세요.');
                 return;
             }
 
+            const invalidMessage = findInvalidPattern(streamerNames, matchMode);
+            if (invalidMessage) {
+                alert(invalidMessage);
+                return;
+            }
+
+            const expiresAt = getSelectedExpiresAt(streamerDuration);
+            if (expiresAt === null) return;
+
             const newStreamers = [];
             const duplicates = [];
 
             streamerNames.forEach(name => {
-                if (blockedStreamers.includes(name)) {
+                // 채널 ID나 채널 URL을 입력하면 ID로 차단
+                const channelId = parseChannelIdInput(name);
+                const entry = channelId
+                    ? { channelId, displayName: '', matchMode: DEFAULT_MATCH_MODE }
+                    : { channelId: '', displayName: name, matchMode };
+                if (expiresAt) entry.expiresAt = expiresAt;
+                if (streamerHideMode.value) entry.hideMode = streamerHideMode.value;
+
+                if (blockedStreamers.some(existing => isSameStreamer(existing, entry))) {
                     duplicates.push(name);
                 } else {
                     newStreamers.push(name);
-                    blockedStreamers.push(name);
+                    blockedStreamers.push(withEntryInfo(entry, 'manual'));
                 }
             });
 
             if (newStreamers.length > 0) {
-                await chrome.storage.sync.set({ blockedStreamers });
+                await settingsStorage.set({ blockedStreamers });
                 notifyContentScript('blockedStreamers', blockedStreamers);
             }
 
@@ -121,64 +521,16 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
-    // 태그 추가
-    async function addTags() {
-        const input = tagInput.value.trim();
-        if (!input) {
-            alert('태그를 입력해주세요.');
-            return;
-        }
-
-        try {
-            const result = await chrome.storage.sync.get('blockedTags');
-            const blockedTags = result.blockedTags || [];
-
-            const tagNames = input.split(',')
-                .map(name => name.trim())
-                .filter(name => name.length > 0);
-
-            if (tagNames.length === 0) {
-                alert('유효한 태그를 입력해주세요.');
-                return;
-            }
-
-            const newTags = [];
-            const duplicates = [];
-
-            tagNames.forEach(name => {
-                if (blockedTags.includes(name)) {
-                    duplicates.push(name);
-                } else {
-                    newTags.push(name);
-                    blockedTags.push(name);
-                }
-            });
-
-            if (newTags.length > 0) {
-                await chrome.storage.sync.set({ blockedTags });
-                notifyContentScript('blockedTags', blockedTags);
-            }
-
-            tagInput.value = '';
-            await loadAllData();
-
-            showResultMessage(newTags, duplicates, '태그');
-        } catch (error) {
-            console.error('태그 추가 중 오류:', error);
-            alert('태그 추가 중 오류가 발생했습니다.');
-        }
-    }
-
     // 스트리머 제거
-    async function removeStreamer(streamerName) {
+    async function removeStreamer(streamer) {
         try {
-            const result = await chrome.storage.sync.get('blockedStreamers');
-            const blockedStreamers = result.blockedStreamers || [];
+            const result = await settingsStorage.get('blockedStreamers');
+            const blockedStreamers = normalizeStreamerList(result.blockedStreamers);
             
-            const index = blockedStreamers.indexOf(streamerName);
+            const index = blockedStreamers.findIndex(entry => isSameStreamer(entry, streamer));
             if (index > -1) {
                 blockedStreamers.splice(index, 1);
-                await chrome.storage.sync.set({ blockedStreamers });
+                await settingsStorage.set({ blockedStreamers });
                 notifyContentScript('blockedStreamers', blockedStreamers);
                 await loadAllData();
                 // 검색 상태 유지
@@ -191,34 +543,12 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
-    // 태그 제거
-    async function removeTag(tagName) {
-        try {
-            const result = await chrome.storage.sync.get('blockedTags');
-            const blockedTags = result.blockedTags || [];
-            
-            const index = blockedTags.indexOf(tagName);
-            if (index > -1) {
-                blockedTags.splice(index, 1);
-                await chrome.storage.sync.set({ blockedTags });
-                notifyContentScript('blockedTags', blockedTags);
-                await loadAllData();
-                // 검색 상태 유지
-                if (tagSearch.value) {
-                    searchTags(tagSearch.value);
-                }
-            }
-        } catch (error) {
-            console.error('태그 제거 중 오류:', error);
-        }
-    }
-
     // 모든 스트리머 삭제
     async function clearAllStreamersList() {
         if (!confirm('모든 차단된 스트리머를 삭제하시겠습니까?')) return;
         
         try {
-            await chrome.storage.sync.set({ blockedStreamers: [] });
+            await settingsStorage.set({ blockedStreamers: [] });
             notifyContentScript('blockedStreamers', []);
             streamerSearch.value = ''; // 검색창 초기화
             await loadAllData();
@@ -227,27 +557,18 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
-    // 모든 태그 삭제
-    async function clearAllTagsList() {
-        if (!confirm('모든 차단된 태그를 삭제하시겠습니까?')) return;
-        
-        try {
-            await chrome.storage.sync.set({ blockedTags: [] });
-            notifyContentScript('blockedTags', []);
-            tagSearch.value = ''; // 검색창 초기화
-            await loadAllData();
-        } catch (error) {
-            console.error('태그 전체 삭제 중 오류:', error);
-        }
-    }
-
     // 스트리머 목록 로드
     async function loadStreamerList() {
         try {
-            const result = await chrome.storage.sync.get('blockedStreamers');
-            const blockedStreamers = result.blockedStreamers || [];
+            const result = await settingsStorage.get('blockedStreamers');
+            const blockedStreamers = normalizeStreamerList(result.blockedStreamers);
             allStreamers = blockedStreamers; // 전체 데이터 저장
 
+            // 예전 문자열 형식 항목은 객체 형식으로 변환하여 저장
+            if (hasLegacyEntries(result.blockedStreamers)) {
+                await settingsStorage.set({ blockedStreamers });
+            }
+
             if (blockedStreamers.length === 0) {
                 streamerList.innerHTML = `
                     <div class="empty-state">
@@ -255,10 +576,12 @@ document.addEventListener('DOMContentLoaded', function() {
                         <div>차단된 스트리머가 없습니다</div>
                     </div>
                 `;
+                streamerLabelFilter.hidden = true;
                 return;
             }
 
-            renderStreamerList(blockedStreamers);
+            fillLabelFilterSelect(streamerLabelFilter, blockedStreamers);
+            searchStreamers(streamerSearch.value);
         } catch (error) {
             console.error('스트리머 목록 로드 중 오류:', error);
         }
@@ -276,24 +599,35 @@ document.addEventListener('DOMContentLoaded', function() {
         }
 
         streamerList.innerHTML = '';
-        streamers.forEach(streamer => {
+        sortRuleEntries(streamers, 'blockedStreamers', streamerSort.value).forEach(streamer => {
             const item = document.createElement('div');
             item.className = 'list-item';
             
             // 검색어가 있으면 하이라이트
-            let displayName = escapeHtml(streamer);
-            if (searchTerm) {
-                const regex = new RegExp(`(${escapeHtml(searchTerm)})`, 'gi');
-                displayName = displayName.replace(regex, '<span class="highlight">$1</span>');
-            }
+            let displayName = highlightText(getStreamerLabel(streamer), searchTerm);
+            const channelInfo = streamer.channelId && streamer.displayName
+                ? `<span class="item-sub">${highlightText(streamer.channelId, searchTerm)}</span>`
+                : '';
             
             item.innerHTML = `
-                <span class="item-name">${displayName}</span>
-                <button class="remove-btn" data-streamer="${escapeHtml(streamer)}">삭제</button>
+                <span class="item-name">${displayName}${channelInfo}</span>
+                ${renderEntryLabels(streamer)}
+                ${streamer.displayName ? renderMatchModeBadge(streamer.matchMode) : ''}
+                ${renderRuleStatsBadge('blockedStreamers', streamer)}
+                ${renderHideModeBadge(streamer)}
+                ${renderExpiryBadge(streamer)}
+                ${renderEntryAddedBadge(streamer)}
+                <button class="remove-btn">삭제</button>
             `;
 
             const removeBtn = item.querySelector('.remove-btn');
             removeBtn.addEventListener('click', () => removeStreamer(streamer));
+            appendScopeEditor(item, streamer, scopes =>
+                saveEntryScopes('blockedStreamers', normalizeStreamerList, isSameStreamer, streamer, scopes)
+            );
+            appendEntryInfoEditor(item, streamer, info =>
+                saveEntryInfo('blockedStreamers', normalizeStreamerList, isSameStreamer, streamer, info)
+            );
 
             streamerList.appendChild(item);
         });
@@ -307,287 +641,2089 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
-    // 스트리머 검색
+    // 스트리머 검색 (이름, 채널 ID, 메모) 및 라벨 필터
     function searchStreamers(searchTerm) {
+        const streamers = filterByLabel(allStreamers, streamerLabelFilter.value);
         if (!searchTerm.trim()) {
-            renderStreamerList(allStreamers);
+            renderStreamerList(streamers);
             return;
         }
 
-        const filtered = allStreamers.filter(streamer => 
-            streamer.toLowerCase().includes(searchTerm.toLowerCase())
+        const lowerTerm = searchTerm.toLowerCase();
+        const filtered = streamers.filter(streamer => 
+            streamer.displayName.toLowerCase().includes(lowerTerm) ||
+            streamer.channelId.includes(lowerTerm) ||
+            (streamer.note || '').toLowerCase().includes(lowerTerm)
         );
         
         renderStreamerList(filtered, searchTerm);
     }
 
-    // 태그 목록 로드
-    async function loadTagList() {
-        try {
-            const result = await chrome.storage.sync.get('blockedTags');
-            const blockedTags = result.blockedTags || [];
-            allTags = blockedTags; // 전체 데이터 저장
-
-            if (blockedTags.length === 0) {
-                tagList.innerHTML = `
-                    <div class="empty-state">
-                        <div class="empty-icon">🏷️</div>
-                        <div>차단된 태그가 없습니다</div>
-                    </div>
-                `;
-                return;
-            }
-
-            renderTagList(blockedTags);
-        } catch (error) {
-            console.error('태그 목록 로드 중 오류:', error);
-        }
+    // {value, matchMode} 형식 규칙 목록 섹션 (태그, 제목 키워드, 카테고리 공용)
+    function createPatternListSection(config) {
+        return createRuleListSection({
+            normalizeList: normalizePatternList,
+            isSame: isSamePattern,
+            createEntry: (value, matchMode) => ({ value, matchMode }),
+            getLabel: entry => entry.value,
+            getSearchText: entry => entry.value,
+            renderExtra: entry => renderMatchModeBadge(entry.matchMode),
+            ...config
+        });
     }
 
-    // 태그 목록 렌더링
-    function renderTagList(tags, searchTerm = '') {
-        if (tags.length === 0 && searchTerm) {
-            tagList.innerHTML = `
-                <div class="search-result-info">
-                    검색 결과가 없습니다: "${escapeHtml(searchTerm)}"
-                </div>
-            `;
-            return;
+    // 규칙 목록 섹션 공통 구현 (추가/삭제/전체 삭제/검색)
+    // 요소 ID는 prefix 기준: {prefix}Input, {prefix}MatchMode, {prefix}Duration, {prefix}HideMode, add{Prefix}Btn, clearAll{Prefix}s, {prefix}List, {prefix}Search, {prefix}Sort, {prefix}LabelFilter
+    // (복수형이 불규칙하면 clearAllSuffix 지정, 매칭 방식/임시 숨기기/숨기기 방식/정렬이 없는 목록은 해당 요소 생략)
+    function createRuleListSection(config) {
+        const statusLabel = config.statusLabel || '차단된';
+        const capitalized = config.prefix.charAt(0).toUpperCase() + config.prefix.slice(1);
+        const input = document.getElementById(`${config.prefix}Input`);
+        const matchModeSelect = document.getElementById(`${config.prefix}MatchMode`);
+        const durationSelect = document.getElementById(`${config.prefix}Duration`);
+        const hideModeSelect = document.getElementById(`${config.prefix}HideMode`);
+        const addBtn = document.getElementById(`add${capitalized}Btn`);
+        const clearAllBtn = document.getElementById(`clearAll${config.clearAllSuffix || capitalized + 's'}`);
+        const list = document.getElementById(`${config.prefix}List`);
+        const search = document.getElementById(`${config.prefix}Search`);
+        const sortSelect = document.getElementById(`${config.prefix}Sort`);
+        const labelFilter = document.getElementById(`${config.prefix}LabelFilter`);
+        const tracksStats = RULE_STATS_KEYS.includes(config.storageKey);
+
+        let allItems = [];
+
+        if (matchModeSelect) {
+            fillMatchModeSelect(matchModeSelect, config.defaultMatchMode);
+        }
+        if (durationSelect) {
+            fillDurationSelect(durationSelect);
+        }
+        if (hideModeSelect) {
+            fillHideModeSelect(hideModeSelect, true);
+        }
+        if (sortSelect) {
+            fillRuleSortSelect(sortSelect, tracksStats);
+            sortSelect.addEventListener('change', () => searchItems(search.value));
+        }
+        if (labelFilter) {
+            labelFilter.addEventListener('change', () => searchItems(search.value));
         }
 
-        tagList.innerHTML = '';
-        tags.forEach(tag => {
-            const item = document.createElement('div');
-            item.className = 'list-item';
-            
-            // 검색어가 있으면 하이라이트
-            let displayName = escapeHtml(tag);
-            if (searchTerm) {
-                const regex = new RegExp(`(${escapeHtml(searchTerm)})`, 'gi');
-                displayName = displayName.replace(regex, '<span class="highlight">$1</span>');
+        addBtn.addEventListener('click', addItems);
+        input.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') addItems();
+        });
+        clearAllBtn.addEventListener('click', clearAll);
+        search.addEventListener('input', function() {
+            searchItems(this.value);
+        });
+
+        // 항목 추가
+        async function addItems() {
+            const value = input.value.trim();
+            if (!value) {
+                alert(`${config.label}를 입력해주세요.`);
+                return;
             }
-            
-            item.innerHTML = `
-                <span class="item-name item-tag"># ${displayName}</span>
-                <button class="remove-btn" data-tag="${escapeHtml(tag)}">삭제</button>
-            `;
 
-            const removeBtn = item.querySelector('.remove-btn');
-            removeBtn.addEventListener('click', () => removeTag(tag));
+            try {
+                const result = await settingsStorage.get(config.storageKey);
+                const items = config.normalizeList(result[config.storageKey]);
+                const matchMode = matchModeSelect ? matchModeSelect.value : DEFAULT_MATCH_MODE;
 
-            tagList.appendChild(item);
-        });
+                const names = splitInput(value, matchMode);
 
-        // 검색 결과 정보 표시
-        if (searchTerm && tags.length > 0) {
-            const infoDiv = document.createElement('div');
-            infoDiv.className = 'search-result-info';
-            infoDiv.textContent = `검색 결과: ${tags.length}개 / 전체: ${allTags.length}개`;
-            tagList.insertBefore(infoDiv, tagList.firstChild);
-        }
-    }
+                if (names.length === 0) {
+                    alert(`유효한 ${config.label}를 입력해주세요.`);
+                    return;
+                }
 
-    // 태그 검색
-    function searchTags(searchTerm) {
-        if (!searchTerm.trim()) {
-            renderTagList(allTags);
-            return;
-        }
+                const invalidMessage = findInvalidPattern(names, matchMode);
+                if (invalidMessage) {
+                    alert(invalidMessage);
+                    return;
+                }
 
-        const filtered = allTags.filter(tag => 
-            tag.toLowerCase().includes(searchTerm.toLowerCase())
-        );
-        
-        renderTagList(filtered, searchTerm);
-    }
+                const expiresAt = durationSelect ? getSelectedExpiresAt(durationSelect) : 0;
+                if (expiresAt === null) return;
+
+                const newItems = [];
+                const duplicates = [];
+
+                names.forEach(name => {
+                    const entry = config.createEntry(name, matchMode);
+                    if (expiresAt) entry.expiresAt = expiresAt;
+                    if (hideModeSelect && hideModeSelect.value) entry.hideMode = hideModeSelect.value;
+                    if (items.some(existing => config.isSame(existing, entry))) {
+                        duplicates.push(name);
+                    } else {
+                        newItems.push(name);
+                        items.push(withEntryInfo(entry, 'manual'));
+                    }
+                });
 
-    // 차단 목록 내보내기
-    async function exportBlockList() {
-        try {
-            const result = await chrome.storage.sync.get(['blockedStreamers', 'blockedTags']);
-            const blockedStreamers = result.blockedStreamers || [];
-            const blockedTags = result.blockedTags || [];
+                if (newItems.length > 0) {
+                    await settingsStorage.set({ [config.storageKey]: items });
+                    notifyContentScript(config.storageKey, items);
+                }
 
-            let content = '=== 치지직 스트리머 숨기기 차단 목록 ===\n';
-            content += '생성 일시: ' + new Date().toLocaleString('ko-KR') + '\n\n';
-            
-            content += '[차단된 스트리머]\n';
-            if (blockedStreamers.length > 0) {
-                blockedStreamers.forEach(streamer => {
-                    content += streamer + '\n';
-                });
-            } else {
-                content += '(없음)\n';
+                input.value = '';
+                await loadAllData();
+
+                showResultMessage(newItems, duplicates, config.label, statusLabel);
+            } catch (error) {
+                console.error(`${config.label} 추가 중 오류:`, error);
+                alert(`${config.label} 추가 중 오류가 발생했습니다.`);
             }
-            
-            content += '\n[차단된 태그]\n';
-            if (blockedTags.length > 0) {
-                blockedTags.forEach(tag => {
-                    content += '#' + tag + '\n';
-                });
-            } else {
-                content += '(없음)\n';
+        }
+
+        // 항목 제거
+        async function removeItem(item) {
+            try {
+                const result = await settingsStorage.get(config.storageKey);
+                const items = config.normalizeList(result[config.storageKey]);
+
+                const index = items.findIndex(entry => config.isSame(entry, item));
+                if (index > -1) {
+                    items.splice(index, 1);
+                    await settingsStorage.set({ [config.storageKey]: items });
+                    notifyContentScript(config.storageKey, items);
+                    await loadAllData();
+                    // 검색 상태 유지
+                    if (search.value) {
+                        searchItems(search.value);
+                    }
+                }
+            } catch (error) {
+                console.error(`${config.label} 제거 중 오류:`, error);
             }
-            
-            content += '\n=== 총 ' + (blockedStreamers.length + blockedTags.length) + '개 항목 ===';
-
-            // 파일 다운로드
-            const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'chzzk_blocklist_' + new Date().getTime() + '.txt';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+        }
 
-            alert('차단 목록이 성공적으로 내보내졌습니다.');
-        } catch (error) {
-            console.error('내보내기 중 오류:', error);
-            alert('내보내기 중 오류가 발생했습니다.');
+        // 전체 삭제
+        async function clearAll() {
+            if (!confirm(`모든 ${statusLabel} ${config.label}를 삭제하시겠습니까?`)) return;
+
+            try {
+                await settingsStorage.set({ [config.storageKey]: [] });
+                notifyContentScript(config.storageKey, []);
+                search.value = ''; // 검색창 초기화
+                await loadAllData();
+            } catch (error) {
+                console.error(`${config.label} 전체 삭제 중 오류:`, error);
+            }
         }
-    }
 
-    // 차단 목록 가져오기
-    async function importBlockList(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        // 목록 로드
+        async function load() {
+            try {
+                const result = await settingsStorage.get(config.storageKey);
+                const items = config.normalizeList(result[config.storageKey]);
+                allItems = items; // 전체 데이터 저장
 
-        try {
-            const text = await file.text();
-            const lines = text.split('\n');
-            
-            let isStreamerSection = false;
-            let isTagSection = false;
-            const newStreamers = [];
-            const newTags = [];
-
-            lines.forEach(line => {
-                line = line.trim();
-                
-                if (line === '[차단된 스트리머]') {
-                    isStreamerSection = true;
-                    isTagSection = false;
-                } else if (line === '[차단된 태그]') {
-                    isStreamerSection = false;
-                    isTagSection = true;
-                } else if (line.startsWith('===') || line.startsWith('생성 일시:') || line === '(없음)' || !line) {
-                    // 헤더나 빈 줄 무시
-                } else if (isStreamerSection) {
-                    newStreamers.push(line);
-                } else if (isTagSection) {
-                    // # 제거
-                    const tag = line.startsWith('#') ? line.substring(1) : line;
-                    newTags.push(tag);
+                // 예전 문자열 형식 항목은 객체 형식으로 변환하여 저장
+                if (hasLegacyEntries(result[config.storageKey])) {
+                    await settingsStorage.set({ [config.storageKey]: items });
                 }
-            });
 
-            // 기존 목록과 병합
-            const result = await chrome.storage.sync.get(['blockedStreamers', 'blockedTags']);
-            const existingStreamers = result.blockedStreamers || [];
-            const existingTags = result.blockedTags || [];
-
-            let addedStreamers = 0;
-            let duplicateStreamers = 0;
-            let addedTags = 0;
-            let duplicateTags = 0;
-
-            // 스트리머 병합
-            newStreamers.forEach(streamer => {
-                if (!existingStreamers.includes(streamer)) {
-                    existingStreamers.push(streamer);
-                    addedStreamers++;
-                } else {
-                    duplicateStreamers++;
+                if (items.length === 0) {
+                    list.innerHTML = `
+                        <div class="empty-state">
+                            <div class="empty-icon">${config.emptyIcon}</div>
+                            <div>${statusLabel} ${config.label}가 없습니다</div>
+                        </div>
+                    `;
+                    if (labelFilter) labelFilter.hidden = true;
+                    return;
                 }
-            });
 
-            // 태그 병합
-            newTags.forEach(tag => {
-                if (!existingTags.includes(tag)) {
-                    existingTags.push(tag);
-                    addedTags++;
-                } else {
-                    duplicateTags++;
+                if (labelFilter) fillLabelFilterSelect(labelFilter, items);
+                searchItems(search.value);
+            } catch (error) {
+                console.error(`${config.label} 목록 로드 중 오류:`, error);
+            }
+        }
+
+        // 목록 렌더링
+        function render(items, searchTerm = '') {
+            if (items.length === 0 && searchTerm) {
+                list.innerHTML = `
+                    <div class="search-result-info">
+                        검색 결과가 없습니다: "${escapeHtml(searchTerm)}"
+                    </div>
+                `;
+                return;
+            }
+
+            list.innerHTML = '';
+            const sorted = sortSelect ? sortRuleEntries(items, config.storageKey, sortSelect.value) : items;
+            sorted.forEach(entry => {
+                const item = document.createElement('div');
+                item.className = 'list-item';
+
+                // 검색어가 있으면 하이라이트
+                const displayName = highlightText(config.getLabel(entry), searchTerm);
+
+                item.innerHTML = `
+                    <span class="item-name ${config.itemClass}">${config.itemPrefix}${displayName}</span>
+                    ${renderEntryLabels(entry)}
+                    ${config.renderExtra(entry, searchTerm)}
+                    ${tracksStats ? renderRuleStatsBadge(config.storageKey, entry) : ''}
+                    ${renderHideModeBadge(entry)}
+                    ${renderExpiryBadge(entry)}
+                    ${renderEntryAddedBadge(entry)}
+                    <button class="remove-btn">삭제</button>
+                `;
+
+                const removeBtn = item.querySelector('.remove-btn');
+                removeBtn.addEventListener('click', () => removeItem(entry));
+                if (config.scopes) {
+                    appendScopeEditor(item, entry, scopes =>
+                        saveEntryScopes(config.storageKey, config.normalizeList, config.isSame, entry, scopes)
+                    );
                 }
-            });
+                appendEntryInfoEditor(item, entry, info =>
+                    saveEntryInfo(config.storageKey, config.normalizeList, config.isSame, entry, info)
+                );
 
-            // 저장
-            await chrome.storage.sync.set({
-                blockedStreamers: existingStreamers,
-                blockedTags: existingTags
+                list.appendChild(item);
             });
 
-            // 콘텐츠 스크립트에 알림
-            notifyContentScript('blockedStreamers', existingStreamers);
-            notifyContentScript('blockedTags', existingTags);
+            // 검색 결과 정보 표시
+            if (searchTerm && items.length > 0) {
+                const infoDiv = document.createElement('div');
+                infoDiv.className = 'search-result-info';
+                infoDiv.textContent = `검색 결과: ${items.length}${config.unit} / 전체: ${allItems.length}${config.unit}`;
+                list.insertBefore(infoDiv, list.firstChild);
+            }
+        }
 
-            // UI 업데이트
-            await loadAllData();
+        // 검색 (항목과 메모) 및 라벨 필터
+        function searchItems(searchTerm) {
+            const items = labelFilter ? filterByLabel(allItems, labelFilter.value) : allItems;
+            if (!searchTerm.trim()) {
+                render(items);
+                return;
+            }
 
-            // 결과 표시
-            let resultMessage = '가져오기 완료!\n';
-            if (addedStreamers > 0) resultMessage += `새로운 스트리머: ${addedStreamers}명\n`;
-            if (duplicateStreamers > 0) resultMessage += `중복된 스트리머: ${duplicateStreamers}명\n`;
-            if (addedTags > 0) resultMessage += `새로운 태그: ${addedTags}개\n`;
-            if (duplicateTags > 0) resultMessage += `중복된 태그: ${duplicateTags}개`;
+            const filtered = items.filter(entry =>
+                `${config.getSearchText(entry)} ${entry.note || ''}`.toLowerCase().includes(searchTerm.toLowerCase())
+            );
 
-            showImportResult(resultMessage, 'success');
-            
-            // 파일 입력 초기화
-            event.target.value = '';
-        } catch (error) {
-            console.error('가져오기 중 오류:', error);
-            showImportResult('파일을 읽는 중 오류가 발생했습니다.', 'error');
-            event.target.value = '';
+            render(filtered, searchTerm);
         }
-    }
-
-    // 가져오기 결과 표시
-    function showImportResult(message, type) {
-        importResult.innerHTML = '';
-        const div = document.createElement('div');
-        div.className = type === 'success' ? 'import-result import-success' : 'import-result import-error';
-        div.textContent = message;
-        importResult.appendChild(div);
 
-        // 3초 후 메시지 제거
-        setTimeout(() => {
-            importResult.innerHTML = '';
-        }, 3000);
+        return { load };
     }
 
-    // 콘텐츠 스크립트에 변경사항 알림
-    async function notifyContentScript(type, data) {
-        try {
-            const tabs = await chrome.tabs.query({ url: 'https://chzzk.naver.com/*' });
-            const message = { action: 'updateBlockList' };
-            message[type] = data;
+    // 규칙 종류별 매칭 대상 설정
+    async function renderRuleTargets() {
+        const ruleTypeLabels = {
+            streamer: '👤 스트리머 규칙',
+            tag: '🏷️ 태그 규칙',
+            keyword: '🔤 제목 키워드 규칙',
+            category: '🎮 카테고리 규칙'
+        };
 
-            tabs.forEach(tab => {
-                chrome.tabs.sendMessage(tab.id, message).catch(() => {
-                    // 탭이 응답하지 않는 경우 무시 (페이지가 로드되지 않은 상태일 수 있음)
+        try {
+            const result = await settingsStorage.get('ruleTargets');
+            const ruleTargets = normalizeRuleTargets(result.ruleTargets);
+
+            ruleTargetsContainer.innerHTML = '';
+            Object.keys(ruleTypeLabels).forEach(type => {
+                const row = document.createElement('div');
+                row.className = 'rule-target-row';
+                row.innerHTML = `<span class="rule-target-type">${ruleTypeLabels[type]}</span>`;
+
+                RULE_TARGET_FIELDS.forEach(field => {
+                    const label = document.createElement('label');
+                    label.className = 'rule-target-option';
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = ruleTargets[type].includes(field);
+                    checkbox.addEventListener('change', async () => {
+                        ruleTargets[type] = RULE_TARGET_FIELDS.filter(f =>
+                            f === field ? checkbox.checked : ruleTargets[type].includes(f)
+                        );
+                        await settingsStorage.set({ ruleTargets });
+                        notifyContentScript('ruleTargets', ruleTargets);
+                    });
+                    label.appendChild(checkbox);
+                    label.appendChild(document.createTextNode(RULE_TARGET_LABELS[field]));
+                    row.appendChild(label);
                 });
+
+                ruleTargetsContainer.appendChild(row);
             });
         } catch (error) {
-            console.error('콘텐츠 스크립트 알림 중 오류:', error);
+            console.error('매칭 대상 로드 중 오류:', error);
         }
     }
 
-    // 결과 메시지 표시
-    function showResultMessage(newItems, duplicates, type) {
-        let message = '';
-        if (newItems.length > 0) {
-            message += `${newItems.length}개의 ${type}가 추가되었습니다.`;
+    // TXT 내보내기/가져오기 목록 구역
+    // format: 항목 → 한 줄, parse: 한 줄 → 항목
+    const TXT_SECTIONS = [
+        {
+            storageKey: 'blockedStreamers', header: '[차단된 스트리머]', label: '스트리머', unit: '명',
+            normalize: normalizeStreamerList, isSame: isSameStreamer,
+            format: formatStreamerLine, parse: parseStreamerLine
+        },
+        createPatternTxtSection('blockedTags', '[차단된 태그]', '태그', '#'),
+        createPatternTxtSection('blockedKeywords', '[차단된 제목 키워드]', '제목 키워드', ''),
+        createPatternTxtSection('blockedCategories', '[차단된 카테고리]', '카테고리', ''),
+        {
+            storageKey: 'allowedStreamers', header: '[허용된 스트리머]', label: '허용 스트리머', unit: '명',
+            normalize: normalizeStreamerList, isSame: isSameStreamer,
+            format: formatStreamerLine, parse: parseStreamerLine
+        },
+        createPatternTxtSection('allowedCategories', '[허용된 카테고리]', '허용 카테고리', ''),
+        {
+            storageKey: 'blockedChatters', header: '[차단된 채팅 사용자]', label: '채팅 사용자', unit: '명',
+            normalize: normalizeChatterList, isSame: isSameChatter,
+            format: chatter => [chatter.nickname, chatter.userId].filter(Boolean).join(' | '),
+            parse: parseChatterLine
+        },
+        {
+            storageKey: 'chatRules', header: '[채팅 내용 규칙]', label: '채팅 규칙', unit: '개',
+            normalize: normalizeChatRuleList, isSame: isSamePattern,
+            format: formatChatRuleLine, parse: parseChatRuleLine
         }
-        if (duplicates.length > 0) {
-            if (message) message += '\n';
-            message += `이미 차단된 ${type}: ${duplicates.join(', ')}`;
+    ];
+
+    // 모든 프로필 내보내기에서 프로필을 구분하는 줄
+    const PROFILE_TXT_HEADER_PREFIX = '##### 프로필: ';
+    const PROFILE_TXT_HEADER_SUFFIX = ' #####';
+
+    // 가져오기 형식: detect(text) → 이 형식인지, parse(text) → 가져오기 계획
+    // 자동 감지는 위에서부터 검사하여 처음 맞는 형식을 사용 (줄/CSV 목록은 항상 맞으므로 마지막)
+    const IMPORT_FORMATS = [
+        {
+            id: 'backup', label: 'JSON 백업',
+            detect: text => {
+                const json = parseJsonOrNull(text);
+                return !!json && !Array.isArray(json) && (json.format !== undefined || json.profiles !== undefined);
+            },
+            parse: parseBackupJson
+        },
+        {
+            id: 'soop', label: 'SOOP(아프리카TV) 차단 목록',
+            detect: text => parseJsonOrNull(text) !== null,
+            parse: parseSoopImport
+        },
+        {
+            id: 'txt', label: 'TXT 목록',
+            detect: text => text.split('\n').some(line => TXT_SECTIONS.some(section => section.header === line.trim())),
+            parse: parseTxtImport
+        },
+        {
+            id: 'ublock', label: 'uBlock 요소 숨김 필터',
+            detect: text => text.split('\n').some(line => UBLOCK_COSMETIC_PATTERN.test(line.trim())),
+            parse: parseCosmeticFilterImport
+        },
+        {
+            id: 'plain', label: '줄/CSV 목록',
+            detect: () => true,
+            parse: parsePlainListImport
         }
-        if (message) {
-            alert(message);
+    ];
+
+    // "도메인##선택자" 형태의 요소 숨김 필터 (#@# 예외, #?# 확장, #$# 스타일 포함)
+    const UBLOCK_COSMETIC_PATTERN = /^([^#\s]*)#([@?$]{0,2})#(.+)$/;
+
+    // SOOP 차단 목록 JSON에서 쓰이는 키 → 이 확장의 목록
+    const SOOP_LIST_KEYS = {
+        blockedStreamers: 'blockedStreamers',
+        blockedUsers: 'blockedStreamers',
+        blockedBJs: 'blockedStreamers',
+        streamers: 'blockedStreamers',
+        blockedTags: 'blockedTags',
+        tags: 'blockedTags',
+        blockedKeywords: 'blockedKeywords',
+        blockedTitles: 'blockedKeywords',
+        keywords: 'blockedKeywords',
+        blockedCategories: 'blockedCategories',
+        categories: 'blockedCategories'
+    };
+
+    // CSV의 종류 열에 쓸 수 있는 값 (구역 이름과 저장 키도 허용)
+    const CSV_TYPE_ALIASES = {
+        streamer: 'blockedStreamers',
+        channel: 'blockedStreamers',
+        채널: 'blockedStreamers',
+        tag: 'blockedTags',
+        keyword: 'blockedKeywords',
+        title: 'blockedKeywords',
+        키워드: 'blockedKeywords',
+        제목: 'blockedKeywords',
+        category: 'blockedCategories',
+        game: 'blockedCategories',
+        chatter: 'blockedChatters'
+    };
+
+    // CSV 머리글 → 열 이름
+    const CSV_COLUMN_ALIASES = {
+        type: 'type', 종류: 'type',
+        value: 'value', 값: 'value',
+        name: 'name', 이름: 'name', displayname: 'name', nickname: 'name', 닉네임: 'name',
+        channelid: 'channelId', '채널 id': 'channelId', id: 'channelId',
+        matchmode: 'matchMode', '매칭 방식': 'matchMode',
+        note: 'note', 메모: 'note',
+        labels: 'labels', 라벨: 'labels',
+        addedat: 'addedAt', '추가한 날짜': 'addedAt'
+    };
+
+    // {value, matchMode} 목록 구역: 접두어(#) + 값 + 기본값이 아닌 매칭 방식은 " @모드"
+    function createPatternTxtSection(storageKey, header, label, linePrefix) {
+        return {
+            storageKey, header, label, unit: '개',
+            normalize: normalizePatternList, isSame: isSamePattern,
+            format: item => appendMatchModeSuffix(linePrefix + item.value, item.matchMode),
+            parse: line => {
+                const { text, matchMode } = splitMatchModeSuffix(line);
+                const value = linePrefix && text.startsWith(linePrefix) ? text.substring(linePrefix.length) : text;
+                return { value, matchMode };
+            }
+        };
+    }
+
+    // 채팅 필터 사용 여부 및 표시 방식
+    async function loadChatFilterOptions() {
+        try {
+            const result = await settingsStorage.get(['chatFilterEnabled', 'chatFilterMode']);
+            chatFilterEnabledInput.checked = result.chatFilterEnabled !== false;
+            chatFilterModeSelect.value = result.chatFilterMode === 'hide' ? 'hide' : 'collapse';
+        } catch (error) {
+            console.error('채팅 필터 설정 로드 중 오류:', error);
+        }
+
+        chatFilterEnabledInput.addEventListener('change', async function() {
+            await settingsStorage.set({ chatFilterEnabled: this.checked });
+            notifyContentScript('chatFilterEnabled', this.checked);
+        });
+        chatFilterModeSelect.addEventListener('change', async function() {
+            await settingsStorage.set({ chatFilterMode: this.value });
+            notifyContentScript('chatFilterMode', this.value);
+        });
+    }
+
+    // 전역 숨기기 방식
+    async function loadHideMode() {
+        fillHideModeSelect(globalHideModeSelect);
+        try {
+            const result = await settingsStorage.get(['hideMode', 'hoverButtonEnabled']);
+            globalHideModeSelect.value = normalizeHideMode(result.hideMode);
+            hoverButtonEnabledInput.checked = result.hoverButtonEnabled !== false;
+        } catch (error) {
+            console.error('숨기기 방식 로드 중 오류:', error);
+        }
+
+        globalHideModeSelect.addEventListener('change', async function() {
+            await settingsStorage.set({ hideMode: this.value });
+            notifyContentScript('hideMode', this.value);
+        });
+        hoverButtonEnabledInput.addEventListener('change', async function() {
+            await settingsStorage.set({ hoverButtonEnabled: this.checked });
+            notifyContentScript('hoverButtonEnabled', this.checked);
+        });
+    }
+
+    // 허용 목록 모드 사용 여부 (프로필마다 다르므로 loadAllData에서 다시 읽음)
+    allowlistModeInput.addEventListener('change', async function() {
+        await settingsStorage.set({ allowlistModeEnabled: this.checked });
+        notifyContentScript('allowlistModeEnabled', this.checked);
+    });
+
+    async function loadAllowlistMode() {
+        try {
+            const result = await settingsStorage.get('allowlistModeEnabled');
+            allowlistModeInput.checked = result.allowlistModeEnabled === true;
+        } catch (error) {
+            console.error('허용 목록 모드 로드 중 오류:', error);
+        }
+    }
+
+    // 단축키 목록 (manifest.json의 commands와 사용자가 바꾼 키)
+    async function loadShortcuts() {
+        try {
+            const commands = await chrome.commands.getAll();
+            shortcutList.innerHTML = '';
+            commands.filter(command => command.description).forEach(command => {
+                const row = document.createElement('div');
+                row.className = 'option-row';
+
+                const description = document.createElement('span');
+                description.textContent = command.description;
+
+                const key = document.createElement('span');
+                key.className = command.shortcut ? 'shortcut-key' : 'shortcut-key unassigned';
+                key.textContent = command.shortcut || '지정 안 됨';
+
+                row.append(description, key);
+                shortcutList.appendChild(row);
+            });
+        } catch (error) {
+            console.error('단축키 로드 중 오류:', error);
+        }
+    }
+
+    // 사이트 선택자: 빈 칸은 기본 선택자를 쓰고, 입력한 항목만 덮어씀
+    const selectorInputs = {};
+
+    async function loadSelectorPack() {
+        try {
+            const { selectorOverrides } = await settingsStorage.get('selectorOverrides');
+            renderSelectorFields(normalizeSelectorOverrides(selectorOverrides));
+        } catch (error) {
+            console.error('사이트 선택자 로드 중 오류:', error);
+        }
+    }
+
+    function renderSelectorFields(overrides) {
+        selectorFieldsContainer.innerHTML = '';
+        SELECTOR_FIELDS.forEach(field => {
+            const row = document.createElement('div');
+            row.className = 'selector-row';
+
+            const label = document.createElement('span');
+            label.className = 'selector-label';
+            label.textContent = SELECTOR_FIELD_LABELS[field];
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'selector-input';
+            input.placeholder = DEFAULT_SELECTORS[field];
+            input.title = `기본값: ${DEFAULT_SELECTORS[field]}`;
+            input.value = overrides.selectors[field] || '';
+            input.addEventListener('input', () => updateSelectorInputState(input));
+            updateSelectorInputState(input);
+            selectorInputs[field] = input;
+
+            row.appendChild(label);
+            row.appendChild(input);
+            selectorFieldsContainer.appendChild(row);
+        });
+
+        const overriddenCount = Object.keys(overrides.selectors).length;
+        let info = `기본 선택자 v${SELECTOR_PACK_VERSION}`;
+        if (overriddenCount > 0) {
+            info += ` · ${overriddenCount}개 항목 덮어씀`;
+            // 기본 선택자가 갱신된 뒤에도 예전 덮어쓰기가 남아 있으면 알림
+            if (overrides.version < SELECTOR_PACK_VERSION) {
+                info += ` (v${overrides.version} 기준으로 저장됨, 기본 선택자가 갱신되었으니 아직 필요한지 확인하세요)`;
+            }
+        }
+        selectorPackInfo.textContent = `${info}. 빈 칸은 기본 선택자를 사용합니다`;
+    }
+
+    function updateSelectorInputState(input) {
+        const value = input.value.trim();
+        const valid = isValidSelector(value);
+        input.classList.toggle('selector-overridden', !!value && valid);
+        input.classList.toggle('selector-invalid', !!value && !valid);
+    }
+
+    async function saveSelectorOverrides() {
+        const invalid = SELECTOR_FIELDS.filter(field => {
+            const value = selectorInputs[field].value.trim();
+            return value && !isValidSelector(value);
+        });
+        if (invalid.length > 0) {
+            showImportResult(`잘못된 선택자: ${invalid.map(field => SELECTOR_FIELD_LABELS[field]).join(', ')}`, 'error', selectorResult);
+            return;
+        }
+
+        const selectors = {};
+        SELECTOR_FIELDS.forEach(field => {
+            selectors[field] = selectorInputs[field].value;
+        });
+
+        try {
+            await applySelectorOverrides(normalizeSelectorOverrides({ version: SELECTOR_PACK_VERSION, selectors }));
+            showImportResult('사이트 선택자가 저장되었습니다.', 'success', selectorResult);
+        } catch (error) {
+            console.error('사이트 선택자 저장 중 오류:', error);
+            showImportResult('사이트 선택자를 저장하지 못했습니다.', 'error', selectorResult);
+        }
+    }
+
+    async function resetSelectorOverrides() {
+        if (!confirm('덮어쓴 사이트 선택자를 모두 지우고 기본값으로 되돌리시겠습니까?')) return;
+
+        try {
+            await applySelectorOverrides(normalizeSelectorOverrides(null));
+            showImportResult('기본 선택자로 되돌렸습니다.', 'success', selectorResult);
+        } catch (error) {
+            console.error('사이트 선택자 초기화 중 오류:', error);
+        }
+    }
+
+    // 덮어쓴 항목이 없으면 저장 키를 지움
+    async function applySelectorOverrides(overrides) {
+        if (Object.keys(overrides.selectors).length > 0) {
+            await settingsStorage.set({ selectorOverrides: overrides });
+        } else {
+            await settingsStorage.remove('selectorOverrides');
+        }
+        renderSelectorFields(overrides);
+        notifyContentScript('selectorOverrides', overrides);
+    }
+
+    // 현재 적용 중인 전체 선택자 묶음을 JSON으로 저장
+    async function exportSelectorPack() {
+        try {
+            const { selectorOverrides } = await settingsStorage.get('selectorOverrides');
+            const pack = resolveSelectorPack(selectorOverrides);
+            downloadFile(
+                JSON.stringify(pack, null, 2),
+                `chzzk_selectors_v${pack.version}_${new Date().getTime()}.json`,
+                'application/json'
+            );
+        } catch (error) {
+            console.error('사이트 선택자 내보내기 중 오류:', error);
+            showImportResult('사이트 선택자를 내보내지 못했습니다.', 'error', selectorResult);
+        }
+    }
+
+    // 가져온 묶음에서 기본값과 다른 항목만 덮어쓰기로 저장 (없는 항목은 기본값)
+    async function importSelectorPack(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const overrides = parseSelectorPackJson(await file.text());
+            await applySelectorOverrides(overrides);
+            showImportResult(`사이트 선택자를 가져왔습니다 (${Object.keys(overrides.selectors).length}개 항목 덮어씀).`, 'success', selectorResult);
+        } catch (error) {
+            console.error('사이트 선택자 가져오기 중 오류:', error);
+            showImportResult(`가져오기 실패: ${error.message}`, 'error', selectorResult);
+        }
+        event.target.value = '';
+    }
+
+    // 규칙 통계
+    async function loadRuleStats() {
+        try {
+            const result = await chrome.storage.local.get(['ruleStats', 'ruleStatsSince']);
+            ruleStats = result.ruleStats || {};
+            ruleStatsSince = result.ruleStatsSince || 0;
+            ruleStatsInfo.textContent = ruleStatsSince
+                ? `${new Date(ruleStatsSince).toLocaleDateString('ko-KR')}부터 기록한 숨김 횟수를 기준으로 현재 프로필의 차단 규칙을 정리합니다`
+                : '아직 기록된 규칙 통계가 없습니다';
+        } catch (error) {
+            console.error('규칙 통계 로드 중 오류:', error);
+        }
+    }
+
+    // 숨긴 횟수 · 마지막 일치 시각 · 마지막 페이지 영역 (영역별 횟수는 툴팁)
+    function renderRuleStatsBadge(storageKey, entry) {
+        const stat = ruleStats[getRuleStatKey(storageKey, entry)];
+        if (!stat) {
+            return '<span class="match-mode-badge rule-stats-badge rule-stats-none">일치 기록 없음</span>';
+        }
+
+        const scopeLabel = stat.lastScope ? ` · ${PAGE_SCOPE_LABELS[stat.lastScope] || stat.lastScope}` : '';
+        const scopeTitle = Object.keys(stat.scopes || {})
+            .map(scope => `${PAGE_SCOPE_LABELS[scope] || scope} ${stat.scopes[scope]}회`)
+            .join(', ');
+        return `<span class="match-mode-badge rule-stats-badge" title="${escapeHtml(scopeTitle)}">숨김 ${stat.count}회 · ${formatTimeAgo(stat.lastMatchedAt)}${scopeLabel}</span>`;
+    }
+
+    function fillRuleSortSelect(select, withStats = true) {
+        Object.keys(RULE_SORT_LABELS).forEach(mode => {
+            if (!withStats && RULE_STATS_SORT_MODES.includes(mode)) return;
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = RULE_SORT_LABELS[mode];
+            select.appendChild(option);
+        });
+    }
+
+    // 추가한 날짜가 없는 예전 항목은 날짜 정렬에서 맨 뒤
+    function sortRuleEntries(items, storageKey, sortMode) {
+        if (!sortMode || sortMode === 'added') return items;
+
+        const getStat = entry => ruleStats[getRuleStatKey(storageKey, entry)] || { count: 0, lastMatchedAt: 0 };
+        const compare = {
+            newest: (a, b) => (b.addedAt || 0) - (a.addedAt || 0),
+            oldest: (a, b) => (a.addedAt || Number.MAX_SAFE_INTEGER) - (b.addedAt || Number.MAX_SAFE_INTEGER),
+            hits: (a, b) => getStat(b).count - getStat(a).count,
+            recent: (a, b) => getStat(b).lastMatchedAt - getStat(a).lastMatchedAt,
+            stale: (a, b) => getStat(a).lastMatchedAt - getStat(b).lastMatchedAt
+        }[sortMode];
+        return [...items].sort(compare);
+    }
+
+    // 기간 동안 한 번도 일치하지 않은 규칙
+    // 기록이 없는 규칙은 통계 기록을 시작한 지 그 기간이 지났을 때만 대상
+    function isStaleRule(storageKey, entry, days, now) {
+        const cutoff = now - days * DURATION_UNITS.d;
+        const stat = ruleStats[getRuleStatKey(storageKey, entry)];
+        if (stat) return stat.lastMatchedAt < cutoff;
+        return !!ruleStatsSince && ruleStatsSince < cutoff;
+    }
+
+    async function cleanupStaleRules() {
+        const days = parseInt(staleDaysInput.value, 10);
+        if (!days || days < 1) {
+            alert('기간을 1일 이상으로 입력해주세요.');
+            return;
+        }
+
+        try {
+            await loadRuleStats();
+            const data = await settingsStorage.get(RULE_STATS_KEYS);
+            const now = Date.now();
+            const updates = {};
+            let removedCount = 0;
+
+            RULE_STATS_KEYS.forEach(key => {
+                const normalize = key === 'blockedStreamers' ? normalizeStreamerList : normalizePatternList;
+                const items = normalize(data[key]);
+                const remaining = items.filter(entry => !isStaleRule(key, entry, days, now));
+                if (remaining.length !== items.length) {
+                    updates[key] = remaining;
+                    removedCount += items.length - remaining.length;
+                }
+            });
+
+            if (removedCount === 0) {
+                alert(`최근 ${days}일 동안 일치하지 않은 규칙이 없습니다.`);
+                return;
+            }
+            if (!confirm(`최근 ${days}일 동안 한 번도 숨기지 않은 규칙 ${removedCount}개를 현재 프로필에서 삭제하시겠습니까?`)) return;
+
+            await settingsStorage.set(updates);
+            Object.keys(updates).forEach(key => notifyContentScript(key, updates[key]));
+            await loadAllData();
+        } catch (error) {
+            console.error('오래된 규칙 정리 중 오류:', error);
+            alert('오래된 규칙 정리 중 오류가 발생했습니다.');
+        }
+    }
+
+    async function resetRuleStats() {
+        if (!confirm('규칙 통계를 모두 지우고 지금부터 다시 기록하시겠습니까?')) return;
+
+        try {
+            await chrome.storage.local.set({ ruleStats: {}, ruleStatsSince: Date.now() });
+            await loadAllData();
+        } catch (error) {
+            console.error('규칙 통계 초기화 중 오류:', error);
+        }
+    }
+
+    // 저장 공간: 동기화 기준 사용량과 현재 저장소 표시
+    async function loadStorageUsage() {
+        try {
+            const usage = await getStorageUsage();
+            const ratio = Math.max(
+                usage.totalBytes / usage.quotaBytes,
+                usage.largestItem.bytes / usage.quotaBytesPerItem,
+                usage.itemCount / usage.maxItems
+            );
+
+            storageUsageInfo.textContent =
+                `전체 ${formatBytes(usage.totalBytes)} / ${formatBytes(usage.quotaBytes)}, ` +
+                `가장 큰 항목 ${usage.largestItem.key || '-'} ${formatBytes(usage.largestItem.bytes)} / ${formatBytes(usage.quotaBytesPerItem)}, ` +
+                `항목 ${usage.itemCount} / ${usage.maxItems}개`;
+            storageUsageBar.style.width = `${Math.min(ratio, 1) * 100}%`;
+            storageUsageBar.classList.toggle('near-limit', !!usage.warning);
+
+            if (usage.area === 'local') {
+                storageAreaLabel.textContent = usage.reason === 'quota'
+                    ? `⚠️ 동기화 용량을 넘어 ${new Date(usage.since).toLocaleString('ko-KR')}부터 이 기기에만 저장 중 (다른 기기와 동기화되지 않음)`
+                    : '📱 이 기기에만 저장 중 (다른 기기와 동기화되지 않음)';
+            } else {
+                storageAreaLabel.textContent = '☁️ 크롬 동기화 저장소 사용 중';
+            }
+
+            if (usage.warning) {
+                storageWarning.textContent = usage.area === 'local'
+                    ? `동기화로 되돌리려면 목록을 줄이세요. ${usage.warning}`
+                    : `동기화 저장 한도에 가깝습니다. ${usage.warning} 한도를 넘으면 이 기기에만 저장되므로, 목록을 정리하거나 JSON 백업을 받아 두세요.`;
+                storageWarning.style.display = 'block';
+            } else {
+                storageWarning.style.display = 'none';
+            }
+
+            moveToLocalBtn.style.display = usage.area === 'sync' ? '' : 'none';
+            moveToSyncBtn.style.display = usage.area === 'local' ? '' : 'none';
+            moveToSyncBtn.disabled = !!getSyncQuotaProblem(usage, 1);
+        } catch (error) {
+            console.error('저장 공간 확인 중 오류:', error);
+        }
+    }
+
+    async function moveToLocalStorage() {
+        if (!confirm('설정을 이 기기에만 저장합니다. 이후 변경 내용은 다른 기기와 동기화되지 않습니다. 계속하시겠습니까?')) return;
+
+        try {
+            await moveSettingsToLocal('manual');
+            showImportResult('이제 이 기기에만 저장합니다.', 'success', storageResult);
+        } catch (error) {
+            console.error('저장소 전환 중 오류:', error);
+            showImportResult(`저장소 전환 중 오류가 발생했습니다: ${error.message}`, 'error', storageResult);
+        }
+        await loadStorageUsage();
+    }
+
+    async function moveToSyncStorage() {
+        if (!confirm('이 기기의 설정으로 동기화 저장소를 덮어씁니다. 다른 기기에서 바꾼 설정은 사라집니다. 계속하시겠습니까?')) return;
+
+        try {
+            await moveSettingsToSync();
+            showImportResult('동기화 저장소로 되돌렸습니다.', 'success', storageResult);
+        } catch (error) {
+            console.error('저장소 전환 중 오류:', error);
+            showImportResult(error.message, 'error', storageResult);
+        }
+        await loadStorageUsage();
+    }
+
+    // 예약 편집기
+    function setupScheduleEditor() {
+        SCHEDULE_TARGETS.forEach(target => {
+            const option = document.createElement('option');
+            option.value = target;
+            option.textContent = SCHEDULE_TARGET_LABELS[target];
+            scheduleTargetSelect.appendChild(option);
+        });
+
+        WEEKDAY_LABELS.forEach((label, day) => {
+            const option = document.createElement('label');
+            option.className = 'rule-target-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = day;
+            checkbox.checked = true;
+            option.appendChild(checkbox);
+            option.appendChild(document.createTextNode(label));
+            scheduleDaysContainer.appendChild(option);
+        });
+
+        addScheduleBtn.addEventListener('click', addSchedule);
+        loadSchedules();
+    }
+
+    async function addSchedule() {
+        const days = [...scheduleDaysContainer.querySelectorAll('input:checked')].map(input => Number(input.value));
+        if (days.length === 0) {
+            alert('요일을 하나 이상 선택해주세요.');
+            return;
+        }
+        if (!scheduleStartInput.value || !scheduleEndInput.value) {
+            alert('시작 시각과 종료 시각을 입력해주세요.');
+            return;
+        }
+
+        try {
+            const result = await settingsStorage.get('schedules');
+            const schedules = normalizeScheduleList(result.schedules);
+            schedules.push(normalizeScheduleEntry({
+                target: scheduleTargetSelect.value,
+                days,
+                start: scheduleStartInput.value,
+                end: scheduleEndInput.value
+            }));
+            // 예약 평가와 콘텐츠 스크립트 알림은 백그라운드에서 처리
+            await settingsStorage.set({ schedules });
+            await loadSchedules();
+        } catch (error) {
+            console.error('예약 추가 중 오류:', error);
+            alert('예약 추가 중 오류가 발생했습니다.');
+        }
+    }
+
+    async function updateSchedules(update) {
+        try {
+            const result = await settingsStorage.get('schedules');
+            const schedules = update(normalizeScheduleList(result.schedules));
+            await settingsStorage.set({ schedules });
+            await loadSchedules();
+        } catch (error) {
+            console.error('예약 저장 중 오류:', error);
+        }
+    }
+
+    async function loadSchedules() {
+        try {
+            const result = await settingsStorage.get('schedules');
+            const schedules = normalizeScheduleList(result.schedules);
+
+            if (schedules.length === 0) {
+                scheduleList.innerHTML = `
+                    <div class="empty-state">
+                        <div class="empty-icon">⏰</div>
+                        <div>등록된 예약이 없습니다</div>
+                    </div>
+                `;
+                return;
+            }
+
+            scheduleList.innerHTML = '';
+            schedules.forEach(schedule => {
+                const item = document.createElement('div');
+                item.className = 'list-item';
+                item.innerHTML = `
+                    <label class="rule-target-option">
+                        <input type="checkbox" class="schedule-enabled" ${schedule.enabled ? 'checked' : ''}>
+                    </label>
+                    <span class="item-name ${schedule.enabled ? '' : 'item-disabled'}">${escapeHtml(SCHEDULE_TARGET_LABELS[schedule.target])}</span>
+                    <span class="match-mode-badge">${escapeHtml(formatScheduleDays(schedule.days))}</span>
+                    <span class="match-mode-badge">${schedule.start} ~ ${schedule.end}</span>
+                    <button class="remove-btn">삭제</button>
+                `;
+
+                item.querySelector('.schedule-enabled').addEventListener('change', (e) => {
+                    updateSchedules(schedules => schedules.map(entry =>
+                        entry.id === schedule.id ? { ...entry, enabled: e.target.checked } : entry
+                    ));
+                });
+                item.querySelector('.remove-btn').addEventListener('click', () => {
+                    updateSchedules(schedules => schedules.filter(entry => entry.id !== schedule.id));
+                });
+
+                scheduleList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('예약 목록 로드 중 오류:', error);
+        }
+    }
+
+    // 차단 목록 내보내기 (현재 프로필 또는 모든 프로필)
+    // JSON 백업 내보내기 (현재 프로필 또는 모든 프로필 + 전역 설정)
+    async function exportBackup() {
+        try {
+            const { profiles, activeProfileId } = await loadProfileIndex();
+            const targets = exportScope.value === 'all'
+                ? profiles
+                : profiles.filter(profile => profile.id === activeProfileId);
+
+            const profileData = [];
+            for (const profile of targets) {
+                profileData.push({
+                    name: profile.name,
+                    active: profile.id === activeProfileId,
+                    data: await readProfileData(profile.id)
+                });
+            }
+
+            const settings = await settingsStorage.get(BACKUP_SETTINGS_KEYS);
+            const backup = createBackup(profileData, settings);
+            downloadFile(JSON.stringify(backup, null, 2), 'chzzk_backup_' + new Date().getTime() + '.json', 'application/json');
+
+            alert('설정이 성공적으로 백업되었습니다.');
+        } catch (error) {
+            console.error('백업 중 오류:', error);
+            alert('백업 중 오류가 발생했습니다.');
+        }
+    }
+
+    async function exportBlockList() {
+        try {
+            let totalCount = 0;
+
+            let content = '=== 치지직 스트리머 숨기기 차단 목록 ===\n';
+            content += '생성 일시: ' + new Date().toLocaleString('ko-KR') + '\n';
+
+            if (exportScope.value === 'all') {
+                const { profiles } = await loadProfileIndex();
+                for (const profile of profiles) {
+                    const result = formatTxtSections(await readProfileData(profile.id));
+                    content += `\n${PROFILE_TXT_HEADER_PREFIX}${profile.name}${PROFILE_TXT_HEADER_SUFFIX}\n` + result.text;
+                    totalCount += result.count;
+                }
+            } else {
+                const result = formatTxtSections(await settingsStorage.get(TXT_SECTIONS.map(section => section.storageKey)));
+                content += result.text;
+                totalCount += result.count;
+            }
+            
+            content += '\n=== 총 ' + totalCount + '개 항목 ===';
+
+            downloadFile(content, 'chzzk_blocklist_' + new Date().getTime() + '.txt', 'text/plain;charset=utf-8');
+
+            alert('차단 목록이 성공적으로 내보내졌습니다.');
+        } catch (error) {
+            console.error('내보내기 중 오류:', error);
+            alert('내보내기 중 오류가 발생했습니다.');
+        }
+    }
+
+    function formatTxtSections(data) {
+        let text = '';
+        let count = 0;
+
+        TXT_SECTIONS.forEach(section => {
+            const items = section.normalize(data[section.storageKey]);
+            count += items.length;
+
+            text += '\n' + section.header + '\n';
+            if (items.length > 0) {
+                items.forEach(item => {
+                    text += section.format(item) + formatEntryInfoSuffix(item) + '\n';
+                });
+            } else {
+                text += '(없음)\n';
+            }
+        });
+
+        return { text, count };
+    }
+
+    // 가져오기: 파일을 읽어 바뀔 내용을 미리 보여주고, 병합 또는 교체를 고른 뒤 적용
+    // JSON 백업은 프로필 이름으로, TXT는 프로필 구분 줄이 없으면 현재 프로필에, 있으면 이름이 같은 프로필에 적용 (없으면 새로 만듦)
+    // 다른 차단 목록 형식은 항상 현재 프로필에 적용
+    let pendingImport = null;
+
+    async function importBlockList(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const format = findImportFormat(text, importFormat.value);
+            pendingImport = {
+                skipped: [],
+                ignoredLines: 0,
+                ...format.parse(text),
+                formatLabel: format.label,
+                autoDetected: importFormat.value === 'auto'
+            };
+            await renderImportPreview(pendingImport);
+        } catch (error) {
+            console.error('가져오기 중 오류:', error);
+            cancelImport();
+            showImportResult(error.message || '파일을 읽는 중 오류가 발생했습니다.', 'error');
+        }
+
+        // 파일 입력 초기화
+        event.target.value = '';
+    }
+
+    // TXT 파일을 JSON 백업과 같은 형태로 변환 (name이 null이면 현재 프로필, 파일에 있는 목록만 포함)
+    function parseTxtImport(text) {
+        const lines = text.split('\n');
+
+        let currentSection = null;
+        let currentData = {};
+        const dataByProfile = new Map([[null, currentData]]);
+
+        lines.forEach(line => {
+            line = line.trim();
+            const headerSection = TXT_SECTIONS.find(section => section.header === line);
+            const profileName = parseProfileHeader(line);
+
+            if (profileName) {
+                if (!dataByProfile.has(profileName)) {
+                    dataByProfile.set(profileName, {});
+                }
+                currentData = dataByProfile.get(profileName);
+                currentSection = null;
+            } else if (headerSection) {
+                currentSection = headerSection;
+                currentData[currentSection.storageKey] = currentData[currentSection.storageKey] || [];
+            } else if (line.startsWith('===') || line.startsWith('생성 일시:') || line === '(없음)' || !line) {
+                // 헤더나 빈 줄 무시
+            } else if (currentSection) {
+                const { text: itemText, info } = splitEntryInfoSuffix(line);
+                currentData[currentSection.storageKey].push({ ...currentSection.parse(itemText), ...info });
+            }
+        });
+
+        const profiles = [...dataByProfile]
+            .filter(([, data]) => Object.keys(data).length > 0)
+            .map(([name, data]) => ({ name, active: false, data }));
+        if (profiles.length === 0) {
+            throw new Error('가져올 목록이 없습니다. [차단된 스트리머] 같은 구역 제목이 있는 TXT 파일인지 확인하세요.');
+        }
+
+        return { version: 0, exportedAt: '', settings: {}, profiles, warnings: [] };
+    }
+
+    // 가져올 프로필이 적용될 기존 프로필 (없으면 null → 새로 만듦)
+    function findImportTarget(imported, profiles, activeProfileId) {
+        return imported.name === null
+            ? profiles.find(profile => profile.id === activeProfileId)
+            : profiles.find(profile => profile.name === imported.name) || null;
+    }
+
+    async function renderImportPreview(plan) {
+        const { profiles, activeProfileId } = await loadProfileIndex();
+        importPreview.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'import-export-title';
+        title.textContent = `📋 ${plan.formatLabel}` +
+            (plan.version ? ` v${plan.version}${plan.exportedAt ? ` (${new Date(plan.exportedAt).toLocaleString('ko-KR')})` : ''}` : '') +
+            (plan.autoDetected ? ' (자동 감지)' : '');
+        importPreview.appendChild(title);
+
+        const addLine = (className, text) => {
+            const div = document.createElement('div');
+            div.className = className;
+            div.textContent = text;
+            importPreview.appendChild(div);
+        };
+
+        for (const imported of plan.profiles) {
+            const target = findImportTarget(imported, profiles, activeProfileId);
+            const existing = target ? await readProfileData(target.id) : {};
+            addLine('import-preview-profile', target
+                ? `프로필: ${target.name}${target.id === activeProfileId ? ' (현재)' : ''}`
+                : `프로필: ${imported.name} (새로 만듦)`);
+
+            TXT_SECTIONS.forEach(section => {
+                if (imported.data[section.storageKey] === undefined) return;
+                const current = section.normalize(existing[section.storageKey]);
+                const incoming = section.normalize(imported.data[section.storageKey]);
+                const added = incoming.filter(item => !current.some(entry => section.isSame(entry, item))).length;
+                const removed = current.filter(entry => !incoming.some(item => section.isSame(entry, item))).length;
+                if (added === 0 && removed === 0 && incoming.length === 0) return;
+
+                addLine('import-preview-line',
+                    `${section.label}: 새 항목 ${added}${section.unit}, 이미 있음 ${incoming.length - added}${section.unit}` +
+                    (removed > 0 ? `, 교체하면 삭제 ${removed}${section.unit}` : ''));
+            });
+
+            const changedToggles = Object.keys(PROFILE_TOGGLE_DEFAULTS).filter(key => {
+                if (imported.data[key] === undefined) return false;
+                const current = existing[key] === undefined ? PROFILE_TOGGLE_DEFAULTS[key] : existing[key];
+                return imported.data[key] !== current;
+            });
+            if (changedToggles.length > 0) {
+                addLine('import-preview-line', `교체하면 바뀌는 토글: ${changedToggles
+                    .map(key => `${PROFILE_TOGGLE_LABELS[key]} ${imported.data[key] ? '켜짐' : '꺼짐'}`)
+                    .join(', ')}`);
+            }
+        }
+
+        const settingKeys = Object.keys(plan.settings);
+        if (settingKeys.length > 0) {
+            const current = await settingsStorage.get(settingKeys);
+            const changedSettings = settingKeys.filter(key => JSON.stringify(current[key]) !== JSON.stringify(plan.settings[key]));
+            addLine('import-preview-profile', '전역 설정');
+            addLine('import-preview-line', changedSettings.length > 0
+                ? `교체하면 바뀌는 설정: ${changedSettings.map(key => BACKUP_SETTINGS_LABELS[key]).join(', ')}`
+                : '바뀌는 설정 없음');
+        }
+
+        plan.warnings.forEach(warning => addLine('import-preview-warning', `⚠️ ${warning}`));
+        renderSkippedLines(plan, addLine);
+
+        const isEmpty = plan.profiles.every(imported => Object.keys(imported.data).length === 0);
+        if (isEmpty) {
+            addLine('import-preview-warning', '⚠️ 가져올 항목이 없습니다. 파일 형식을 직접 선택해 다시 시도해보세요.');
+        }
+        addLine('import-preview-line', '병합: 새 항목만 추가하고 토글과 설정은 유지합니다. 교체: 파일에 있는 목록, 토글, 설정으로 덮어씁니다 (파일에 없는 프로필은 그대로 둡니다)');
+
+        const actions = document.createElement('div');
+        actions.className = 'import-preview-actions';
+        [
+            { label: '병합', className: 'add-btn', onClick: () => applyImport('merge'), hidden: isEmpty },
+            { label: '교체', className: 'clear-all-btn', onClick: () => applyImport('replace'), hidden: isEmpty },
+            { label: '취소', className: 'profile-btn', onClick: cancelImport }
+        ].filter(action => !action.hidden).forEach(action => {
+            const button = document.createElement('button');
+            button.className = action.className;
+            button.textContent = action.label;
+            button.addEventListener('click', action.onClick);
+            actions.appendChild(button);
+        });
+        importPreview.appendChild(actions);
+    }
+
+    // 건너뛴 줄과 이유 (너무 많으면 앞부분만)
+    function renderSkippedLines(plan, addLine) {
+        const SKIPPED_PREVIEW_LIMIT = 20;
+        if (plan.skipped.length > 0) {
+            addLine('import-preview-warning', `⚠️ 건너뛴 항목 ${plan.skipped.length}개`);
+            plan.skipped.slice(0, SKIPPED_PREVIEW_LIMIT).forEach(skip => {
+                const text = skip.text.length > 60 ? skip.text.substring(0, 60) + '…' : skip.text;
+                addLine('import-preview-skipped', `${skip.where}: ${text} → ${skip.reason}`);
+            });
+            if (plan.skipped.length > SKIPPED_PREVIEW_LIMIT) {
+                addLine('import-preview-skipped', `외 ${plan.skipped.length - SKIPPED_PREVIEW_LIMIT}개`);
+            }
+        }
+        if (plan.ignoredLines > 0) {
+            addLine('import-preview-line', `주석과 머리글 ${plan.ignoredLines}줄은 무시했습니다`);
+        }
+    }
+
+    function cancelImport() {
+        pendingImport = null;
+        importPreview.innerHTML = '';
+    }
+
+    async function applyImport(mode) {
+        const plan = pendingImport;
+        if (!plan) return;
+        if (mode === 'replace' && !confirm('파일의 내용으로 목록과 설정을 덮어씁니다. 계속하시겠습니까?')) return;
+
+        try {
+            let { profiles, activeProfileId } = await loadProfileIndex();
+            let resultMessage = mode === 'replace' ? '교체 완료!\n' : '가져오기 완료!\n';
+
+            for (const imported of plan.profiles) {
+                let profile = findImportTarget(imported, profiles, activeProfileId);
+                if (!profile) {
+                    profile = { id: createProfileId(), name: imported.name };
+                    profiles = [...profiles, profile];
+                    await settingsStorage.set({ profiles });
+                }
+
+                const updates = mode === 'replace'
+                    ? await replaceProfileData(profile.id, imported.data)
+                    : await mergeImportedSections(profile.id, imported.data);
+                if (plan.profiles.length > 1) resultMessage += `[${profile.name}]\n`;
+                resultMessage += updates.message;
+            }
+
+            if (mode === 'replace' && Object.keys(plan.settings).length > 0) {
+                await settingsStorage.set(plan.settings);
+                if (plan.settings.selectorOverrides) {
+                    notifyContentScript('selectorOverrides', plan.settings.selectorOverrides);
+                }
+                resultMessage += `전역 설정: ${Object.keys(plan.settings).map(key => BACKUP_SETTINGS_LABELS[key]).join(', ')}\n`;
+            }
+
+            // 토글과 전역 설정이 바뀔 수 있으므로 열린 탭이 설정을 모두 다시 읽도록 알림 (프로필 전환과 같은 알림을 백그라운드가 보냄)
+            chrome.runtime.sendMessage({ action: 'reloadTabSettings' }).catch(() => {});
+            cancelImport();
+
+            // UI 업데이트
+            await loadProfiles();
+            await loadAllData();
+            await refreshGlobalSettings();
+
+            showImportResult(resultMessage.trim(), 'success');
+        } catch (error) {
+            console.error('가져오기 중 오류:', error);
+            showImportResult(`가져오기 중 오류가 발생했습니다: ${error.message}`, 'error');
+        }
+    }
+
+    // 교체: 파일에 있는 목록과 토글만 덮어씀 (파일에 없는 값은 유지)
+    async function replaceProfileData(profileId, data) {
+        const updates = {};
+        let message = '';
+
+        TXT_SECTIONS.forEach(section => {
+            if (data[section.storageKey] === undefined) return;
+            updates[section.storageKey] = section.normalize(data[section.storageKey]).map(item => withEntryInfo(item, 'import'));
+            message += `${section.label}: ${updates[section.storageKey].length}${section.unit}\n`;
+        });
+        Object.keys(PROFILE_TOGGLE_DEFAULTS).forEach(key => {
+            if (data[key] !== undefined) updates[key] = data[key];
+        });
+
+        await writeProfileData(profileId, updates);
+        return { message };
+    }
+
+    // 교체로 바뀐 전역 설정을 화면에 다시 표시
+    async function refreshGlobalSettings() {
+        const result = await settingsStorage.get(['hideMode', 'hoverButtonEnabled', 'chatFilterEnabled', 'chatFilterMode']);
+        globalHideModeSelect.value = normalizeHideMode(result.hideMode);
+        hoverButtonEnabledInput.checked = result.hoverButtonEnabled !== false;
+        chatFilterEnabledInput.checked = result.chatFilterEnabled !== false;
+        chatFilterModeSelect.value = result.chatFilterMode === 'hide' ? 'hide' : 'collapse';
+        await renderRuleTargets();
+        await loadSchedules();
+        await loadSelectorPack();
+    }
+
+    // "##### 프로필: 이름 #####" 줄이면 프로필 이름 반환
+    function parseProfileHeader(line) {
+        if (!line.startsWith(PROFILE_TXT_HEADER_PREFIX) || !line.endsWith(PROFILE_TXT_HEADER_SUFFIX)) return '';
+        return line.slice(PROFILE_TXT_HEADER_PREFIX.length, -PROFILE_TXT_HEADER_SUFFIX.length).trim();
+    }
+
+    // 가져온 항목을 프로필의 기존 목록과 병합하여 저장
+    async function mergeImportedSections(profileId, imported) {
+        const result = await readProfileData(profileId);
+        const lists = {};
+        let message = '';
+
+        TXT_SECTIONS.forEach(section => {
+            const existingItems = section.normalize(result[section.storageKey]);
+            const newItems = section.normalize(imported[section.storageKey]);
+            let added = 0;
+            let duplicates = 0;
+
+            newItems.forEach(item => {
+                if (!existingItems.some(existing => section.isSame(existing, item))) {
+                    existingItems.push(withEntryInfo(item, 'import'));
+                    added++;
+                } else {
+                    duplicates++;
+                }
+            });
+
+            lists[section.storageKey] = existingItems;
+            if (added > 0) message += `새로운 ${section.label}: ${added}${section.unit}\n`;
+            if (duplicates > 0) message += `중복된 ${section.label}: ${duplicates}${section.unit}\n`;
+        });
+
+        await writeProfileData(profileId, lists);
+        return { lists, message };
+    }
+
+    // 항목 정보(메모, 라벨, 추가한 날짜, 추가한 곳)와 규칙 옵션(만료 시각, 숨기기 방식, 적용 범위)은
+    // 줄 끝에 탭과 JSON으로 덧붙임 (예: "#태그<탭>{"note":"광고","hideMode":"blur"}")
+    function formatEntryInfoSuffix(entry) {
+        const info = { ...pickEntryInfo(entry), ...pickEntryRuleOptions(entry) };
+        return Object.keys(info).length > 0 ? '\t' + JSON.stringify(info) : '';
+    }
+
+    function splitEntryInfoSuffix(line) {
+        const index = line.indexOf('\t{');
+        if (index === -1) return { text: line, info: {} };
+
+        try {
+            const parsed = JSON.parse(line.substring(index + 1));
+            return { text: line.substring(0, index).trim(), info: { ...pickEntryInfo(parsed), ...pickEntryRuleOptions(parsed) } };
+        } catch (error) {
+            return { text: line, info: {} };
+        }
+    }
+
+    function pickEntryRuleOptions(entry) {
+        const options = {};
+        if (Number.isFinite(entry.expiresAt) && entry.expiresAt > 0) options.expiresAt = entry.expiresAt;
+        if (HIDE_MODES.includes(entry.hideMode)) options.hideMode = entry.hideMode;
+        const scopes = normalizeScopes(entry.scopes);
+        if (scopes.length > 0) options.scopes = scopes;
+        return options;
+    }
+
+    // 스트리머 줄 형식: "이름 | 채널 ID" (채널 ID가 없으면 이름만), 기본값이 아닌 매칭 방식은 " @모드"
+    function formatStreamerLine(streamer) {
+        const line = [streamer.displayName, streamer.channelId].filter(Boolean).join(' | ');
+        return appendMatchModeSuffix(line, streamer.matchMode);
+    }
+
+    // 가져온 스트리머 줄 파싱: "이름 | 채널 ID", "이름", "채널 ID" 모두 허용 (끝에 " @모드" 가능)
+    function parseStreamerLine(line) {
+        const { text, matchMode } = splitMatchModeSuffix(line);
+        const parts = text.split('|').map(part => part.trim());
+        const channelId = parseChannelIdInput(parts[parts.length - 1]);
+        if (!channelId) {
+            return { channelId: '', displayName: text, matchMode };
+        }
+        return {
+            channelId,
+            displayName: parts.length > 1 ? parts.slice(0, -1).join(' | ') : '',
+            matchMode
+        };
+    }
+
+    // 가져온 채팅 사용자 줄 파싱: "닉네임 | 사용자 ID", "닉네임", "사용자 ID" 모두 허용
+    function parseChatterLine(line) {
+        const parts = line.split('|').map(part => part.trim());
+        const userId = parseChannelIdInput(parts[parts.length - 1]);
+        if (!userId) {
+            return { userId: '', nickname: line };
+        }
+        return {
+            userId,
+            nickname: parts.length > 1 ? parts.slice(0, -1).join(' | ') : ''
+        };
+    }
+
+    // 채팅 규칙 줄 형식: "동작[+donation] | 값 @모드" (예: "mask | 광고", "hide+donation | 도배.* @regex")
+    function formatChatRuleLine(rule) {
+        const action = rule.action + (rule.includeDonations ? '+donation' : '');
+        return `${action} | ${appendMatchModeSuffix(rule.value, rule.matchMode)}`;
+    }
+
+    function parseChatRuleLine(line) {
+        const match = line.match(/^(hide|mask|dim)(\+donation)? \| (.+)$/);
+        const { text, matchMode } = splitMatchModeSuffix(match ? match[3] : line);
+        return {
+            value: text,
+            matchMode,
+            action: match ? match[1] : 'mask',
+            includeDonations: !!(match && match[2])
+        };
+    }
+
+    // 선택한 가져오기 형식 (자동 감지면 내용을 보고 결정)
+    function findImportFormat(text, formatId) {
+        if (formatId !== 'auto') {
+            return IMPORT_FORMATS.find(format => format.id === formatId);
+        }
+        return IMPORT_FORMATS.find(format => format.detect(text));
+    }
+
+    function parseJsonOrNull(text) {
+        if (!/^\s*[[{]/.test(text)) return null;
+        try {
+            const json = JSON.parse(text);
+            return json && typeof json === 'object' ? json : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 다른 형식에서 변환한 항목을 구역별로 모으고, 넣지 못한 항목은 위치와 이유를 기록
+    function createImportCollector() {
+        const data = {};
+        const skipped = [];
+        let ignoredLines = 0;
+
+        return {
+            add(where, text, storageKey, item) {
+                const section = TXT_SECTIONS.find(entry => entry.storageKey === storageKey);
+                const [normalized] = section.normalize([item]);
+                if (!normalized) {
+                    skipped.push({ where, text, reason: '빈 값' });
+                    return;
+                }
+                if (normalized.value !== undefined) {
+                    const error = validatePattern(normalized.value, normalized.matchMode);
+                    if (error) {
+                        skipped.push({ where, text, reason: error });
+                        return;
+                    }
+                }
+
+                const list = data[storageKey] = data[storageKey] || [];
+                if (list.some(existing => section.isSame(existing, normalized))) {
+                    skipped.push({ where, text, reason: '파일 안에서 중복' });
+                    return;
+                }
+                list.push(normalized);
+            },
+            skip(where, text, reason) {
+                skipped.push({ where, text, reason });
+            },
+            ignore() {
+                ignoredLines++;
+            },
+            toPlan() {
+                return {
+                    version: 0,
+                    exportedAt: '',
+                    settings: {},
+                    profiles: [{ name: null, active: false, data }],
+                    warnings: [],
+                    skipped,
+                    ignoredLines
+                };
+            }
+        };
+    }
+
+    // SOOP(아프리카TV) 차단 확장의 JSON: { blockedStreamers: [...], blockedTags: [...], ... } 또는 스트리머 배열
+    // SOOP 아이디는 치지직 채널 ID와 다르므로 스트리머는 닉네임으로만 가져옴
+    function parseSoopImport(text) {
+        const json = parseJsonOrNull(text);
+        if (!json) {
+            throw new Error('JSON 형식이 아닙니다. SOOP 차단 목록에서 내보낸 JSON 파일인지 확인하세요.');
+        }
+
+        const collector = createImportCollector();
+        const lists = Array.isArray(json) ? { blockedStreamers: json } : json;
+
+        Object.keys(lists).forEach(key => {
+            const storageKey = SOOP_LIST_KEYS[key];
+            if (!storageKey) {
+                collector.skip(key, JSON.stringify(lists[key]) || '', '알 수 없는 목록');
+                return;
+            }
+            if (!Array.isArray(lists[key])) {
+                collector.skip(key, JSON.stringify(lists[key]) || '', '배열이 아님');
+                return;
+            }
+
+            lists[key].forEach((entry, index) => {
+                const where = `${key}[${index}]`;
+                const text = typeof entry === 'string' ? entry : JSON.stringify(entry) || '';
+                if (storageKey === 'blockedStreamers') {
+                    addSoopStreamer(collector, where, text, entry);
+                } else if (typeof entry === 'string') {
+                    collector.add(where, text, storageKey, { value: entry });
+                } else if (entry && typeof entry === 'object') {
+                    collector.add(where, text, storageKey, { value: entry.value || entry.keyword || entry.tag || entry.name || '' });
+                } else {
+                    collector.skip(where, text, '문자열이나 객체가 아님');
+                }
+            });
+        });
+
+        return collector.toPlan();
+    }
+
+    function addSoopStreamer(collector, where, text, entry) {
+        if (typeof entry === 'string') {
+            collector.add(where, text, 'blockedStreamers', { displayName: entry });
+            return;
+        }
+        if (!entry || typeof entry !== 'object') {
+            collector.skip(where, text, '문자열이나 객체가 아님');
+            return;
+        }
+
+        const nickname = entry.userNick || entry.nickname || entry.nick || entry.userName || entry.name || entry.displayName || '';
+        const channelId = parseChannelIdInput(entry.channelId || '');
+        if (!nickname && !channelId) {
+            collector.skip(where, text, '닉네임이 없음 (SOOP 아이디는 치지직 채널 ID와 다름)');
+            return;
+        }
+        collector.add(where, text, 'blockedStreamers', { channelId, displayName: nickname });
+    }
+
+    // 줄/CSV 목록: 한 줄(또는 쉼표로 구분한 칸)마다 스트리머 하나, #으로 시작하면 태그
+    // 첫 줄이 "type,value" 같은 머리글이면 열 이름에 따라 종류, 이름, 채널 ID, 매칭 방식, 메모, 라벨(;로 구분), 추가한 날짜를 읽음
+    function parsePlainListImport(text) {
+        const collector = createImportCollector();
+        const lines = text.split(/\r?\n/);
+        const firstIndex = lines.findIndex(line => line.trim());
+        const delimiter = firstIndex >= 0 && lines[firstIndex].includes('\t') ? '\t' : ',';
+        const columns = firstIndex >= 0 ? parseCsvHeader(splitCsvLine(lines[firstIndex], delimiter)) : null;
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const where = `${index + 1}번째 줄`;
+            if (!line) return;
+            if (index === firstIndex && columns) {
+                collector.ignore();
+                return;
+            }
+            if (line.startsWith('//')) {
+                collector.ignore();
+                return;
+            }
+
+            const cells = splitCsvLine(line, delimiter);
+            if (columns) {
+                addCsvRow(collector, where, line, columns, cells);
+            } else {
+                cells.filter(Boolean).forEach(cell => addPlainValue(collector, where, cell));
+            }
+        });
+
+        return collector.toPlan();
+    }
+
+    // 머리글이면 {열 이름: 위치}, 아니면 null
+    function parseCsvHeader(cells) {
+        const columns = {};
+        cells.forEach((cell, index) => {
+            const column = CSV_COLUMN_ALIASES[cell.toLowerCase()];
+            if (column && columns[column] === undefined) columns[column] = index;
+        });
+        return columns.value !== undefined || columns.name !== undefined || columns.channelId !== undefined
+            ? columns
+            : null;
+    }
+
+    function addCsvRow(collector, where, line, columns, cells) {
+        const cell = column => (columns[column] === undefined ? '' : cells[columns[column]] || '');
+        const type = cell('type');
+        const storageKey = type ? findCsvListKey(type) : 'blockedStreamers';
+        if (!storageKey) {
+            collector.skip(where, line, `알 수 없는 종류: ${type}`);
+            return;
+        }
+
+        const matchMode = cell('matchMode');
+        if (matchMode && !MATCH_MODES.includes(matchMode)) {
+            collector.skip(where, line, `알 수 없는 매칭 방식: ${matchMode}`);
+            return;
+        }
+
+        const value = cell('value') || cell('name');
+        const section = TXT_SECTIONS.find(entry => entry.storageKey === storageKey);
+        const info = pickEntryInfo({
+            note: cell('note'),
+            labels: cell('labels').split(';'),
+            addedAt: Date.parse(cell('addedAt'))
+        });
+        if (storageKey === 'blockedStreamers' || storageKey === 'allowedStreamers') {
+            const valueChannelId = parseChannelIdInput(value);
+            const channelId = cell('channelId') ? parseChannelIdInput(cell('channelId')) : valueChannelId;
+            if (cell('channelId') && !channelId) {
+                collector.skip(where, line, '채널 ID 형식이 아님');
+                return;
+            }
+            const displayName = cell('name') || (valueChannelId ? '' : value);
+            collector.add(where, line, storageKey, { channelId, displayName, matchMode, ...info });
+            return;
+        }
+
+        const item = { ...section.parse(value), ...info };
+        collector.add(where, line, storageKey, matchMode ? { ...item, matchMode } : item);
+    }
+
+    function findCsvListKey(type) {
+        const key = type.trim();
+        const section = TXT_SECTIONS.find(entry => entry.storageKey === key || entry.label === key);
+        return section ? section.storageKey : CSV_TYPE_ALIASES[key.toLowerCase()] || '';
+    }
+
+    function addPlainValue(collector, where, value) {
+        if (value.startsWith('#')) {
+            collector.add(where, value, 'blockedTags', { value: value.substring(1).trim() });
+            return;
+        }
+        const streamer = parseStreamerLine(value);
+        if (streamer.channelId) {
+            collector.add(where, value, 'blockedStreamers', streamer);
+            return;
+        }
+        if (/^https?:\/\//i.test(value)) {
+            collector.skip(where, value, '치지직 채널 주소가 아님');
+            return;
+        }
+        if (value.length > 50) {
+            collector.skip(where, value, '스트리머 이름으로 보기에 너무 김 (50자 초과)');
+            return;
+        }
+        collector.add(where, value, 'blockedStreamers', streamer);
+    }
+
+    // 따옴표로 감싼 칸("a, b")과 따옴표 이스케이프("")를 처리하는 간단한 CSV 분리
+    function splitCsvLine(line, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && !cell.trim()) {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    // uBlock/AdGuard 요소 숨김 필터: 선택자 안의 채널 ID는 스트리머로, :has-text()는 제목 키워드로 변환
+    // :has-text()는 카드 전체 텍스트를 보지만 가장 가까운 규칙인 제목 키워드(포함, /정규식/은 정규식)로 가져옴
+    function parseCosmeticFilterImport(text) {
+        const collector = createImportCollector();
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const where = `${index + 1}번째 줄`;
+            if (!line) return;
+            if (line.startsWith('!') || line.startsWith('[')) {
+                collector.ignore();
+                return;
+            }
+
+            const match = line.match(UBLOCK_COSMETIC_PATTERN);
+            if (!match) {
+                collector.skip(where, line, '요소 숨김(##) 필터가 아님 (네트워크 필터는 가져오지 않음)');
+                return;
+            }
+
+            const [, domains, marker, selector] = match;
+            if (marker.includes('@')) {
+                collector.skip(where, line, '예외 필터(#@#)는 가져오지 않음');
+                return;
+            }
+            if (marker.includes('$')) {
+                collector.skip(where, line, '스타일 필터(#$#)는 가져오지 않음');
+                return;
+            }
+            if (domains && !domains.split(',').some(domain => /^(?!~)(.+\.)?naver\.com$/i.test(domain.trim()))) {
+                collector.skip(where, line, '치지직(chzzk.naver.com)용 필터가 아님');
+                return;
+            }
+
+            const channelIds = [...new Set((selector.match(/[0-9a-f]{32}/gi) || []).map(id => id.toLowerCase()))];
+            const texts = [...selector.matchAll(/:has-text\(((?:[^()\\]|\\.)+)\)/g)].map(result => result[1].trim());
+            if (channelIds.length === 0 && texts.length === 0) {
+                collector.skip(where, line, '채널 ID나 :has-text() 조건이 없어 변환할 수 없음');
+                return;
+            }
+
+            channelIds.forEach(channelId => {
+                collector.add(where, line, 'blockedStreamers', { channelId, displayName: '' });
+            });
+            texts.forEach(value => {
+                const regex = value.match(/^\/(.+)\/[a-z]*$/);
+                collector.add(where, line, 'blockedKeywords', regex
+                    ? { value: regex[1], matchMode: 'regex' }
+                    : { value: value.replace(/^["']|["']$/g, ''), matchMode: 'contains' });
+            });
+        });
+
+        return collector.toPlan();
+    }
+
+    // 가져오기 결과 표시
+    function showImportResult(message, type, container = importResult) {
+        container.innerHTML = '';
+        const div = document.createElement('div');
+        div.className = type === 'success' ? 'import-result import-success' : 'import-result import-error';
+        div.textContent = message;
+        container.appendChild(div);
+
+        // 3초 후 메시지 제거
+        setTimeout(() => {
+            container.innerHTML = '';
+        }, 3000);
+    }
+
+    // 파일 다운로드
+    function downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // 콘텐츠 스크립트에 변경사항 알림
+    async function notifyContentScript(type, data) {
+        try {
+            const tabs = await chrome.tabs.query({ url: 'https://chzzk.naver.com/*' });
+            const message = { action: 'updateBlockList' };
+            message[type] = data;
+
+            tabs.forEach(tab => {
+                chrome.tabs.sendMessage(tab.id, message).catch(() => {
+                    // 탭이 응답하지 않는 경우 무시 (페이지가 로드되지 않은 상태일 수 있음)
+                });
+            });
+        } catch (error) {
+            console.error('콘텐츠 스크립트 알림 중 오류:', error);
+        }
+    }
+
+    // 결과 메시지 표시
+    function showResultMessage(newItems, duplicates, type, statusLabel = '차단된') {
+        let message = '';
+        if (newItems.length > 0) {
+            message += `${newItems.length}개의 ${type}가 추가되었습니다.`;
+        }
+        if (duplicates.length > 0) {
+            if (message) message += '\n';
+            message += `이미 ${statusLabel} ${type}: ${duplicates.join(', ')}`;
+        }
+        if (message) {
+            alert(message);
+        }
+    }
+
+    // 입력값 분리: 정규식은 쉼표를 포함할 수 있으므로 하나의 패턴으로 취급
+    function splitInput(input, matchMode) {
+        if (matchMode === 'regex') return [input];
+        return input.split(',')
+            .map(name => name.trim())
+            .filter(name => name.length > 0);
+    }
+
+    // 저장 전 패턴 검증 (첫 번째 오류 메시지 반환)
+    function findInvalidPattern(values, matchMode) {
+        for (const value of values) {
+            const error = validatePattern(value, matchMode);
+            if (error) return `"${value}": ${error}`;
+        }
+        return '';
+    }
+
+    function fillMatchModeSelect(select, defaultMode = DEFAULT_MATCH_MODE) {
+        MATCH_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = MATCH_MODE_LABELS[mode];
+            select.appendChild(option);
+        });
+        select.value = defaultMode;
+    }
+
+    // 적용 범위 편집: 버튼을 누르면 영역 체크박스를 펼치고, 바뀔 때마다 저장
+    function appendScopeEditor(item, entry, onSave) {
+        const button = document.createElement('button');
+        button.className = 'scope-btn';
+        button.title = '적용 범위';
+        button.textContent = formatScopes(entry.scopes);
+
+        const editor = document.createElement('div');
+        editor.className = 'scope-editor';
+        editor.hidden = true;
+        PAGE_SCOPES.forEach(scope => {
+            const label = document.createElement('label');
+            label.className = 'rule-target-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = scope;
+            checkbox.checked = normalizeScopes(entry.scopes).includes(scope);
+            checkbox.addEventListener('change', async () => {
+                const scopes = [...editor.querySelectorAll('input:checked')].map(input => input.value);
+                await onSave(scopes);
+                entry.scopes = scopes;
+                button.textContent = formatScopes(scopes);
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(PAGE_SCOPE_LABELS[scope]));
+            editor.appendChild(label);
+        });
+
+        button.addEventListener('click', () => {
+            editor.hidden = !editor.hidden;
+        });
+        item.insertBefore(button, item.querySelector('.remove-btn'));
+        item.appendChild(editor);
+    }
+
+    function formatScopes(scopes) {
+        const normalized = normalizeScopes(scopes);
+        return normalized.length > 0
+            ? `📍 ${normalized.map(scope => PAGE_SCOPE_LABELS[scope]).join(', ')}`
+            : '📍 모든 곳';
+    }
+
+    // 항목의 적용 범위 저장 (비어 있으면 모든 곳)
+    async function saveEntryScopes(storageKey, normalizeList, isSame, entry, scopes) {
+        try {
+            const result = await settingsStorage.get(storageKey);
+            const items = normalizeList(result[storageKey]);
+            const target = items.find(existing => isSame(existing, entry));
+            if (!target) return;
+
+            if (scopes.length > 0) {
+                target.scopes = scopes;
+            } else {
+                delete target.scopes;
+            }
+            await settingsStorage.set({ [storageKey]: items });
+            notifyContentScript(storageKey, items);
+        } catch (error) {
+            console.error('적용 범위 저장 중 오류:', error);
+        }
+    }
+
+    // 메모/라벨 편집: 버튼을 누르면 입력 칸을 펼치고, 저장하면 목록을 다시 표시 (메모는 항목 아래에 표시)
+    function appendEntryInfoEditor(item, entry, onSave) {
+        const button = document.createElement('button');
+        button.className = 'scope-btn';
+        button.title = '메모와 라벨';
+        button.textContent = '✏️ 메모';
+
+        const editor = document.createElement('div');
+        editor.className = 'scope-editor entry-info-editor';
+        editor.hidden = true;
+        editor.innerHTML = `
+            <input type="text" class="input-field entry-note-input" placeholder="메모 (숨긴 이유, 추가한 사람 등)" maxlength="200">
+            <input type="text" class="input-field entry-labels-input" placeholder="라벨 (쉼표로 구분)">
+            <button class="add-btn">저장</button>
+        `;
+        const noteInput = editor.querySelector('.entry-note-input');
+        const labelsInput = editor.querySelector('.entry-labels-input');
+        noteInput.value = entry.note || '';
+        labelsInput.value = (entry.labels || []).join(', ');
+
+        const save = () => onSave({ note: noteInput.value, labels: labelsInput.value.split(',') });
+        editor.querySelector('.add-btn').addEventListener('click', save);
+        [noteInput, labelsInput].forEach(input => input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') save();
+        }));
+
+        button.addEventListener('click', () => {
+            editor.hidden = !editor.hidden;
+            if (!editor.hidden) noteInput.focus();
+        });
+        item.insertBefore(button, item.querySelector('.remove-btn'));
+
+        if (entry.note) {
+            const note = document.createElement('div');
+            note.className = 'entry-note';
+            note.textContent = `📝 ${entry.note}`;
+            item.appendChild(note);
+        }
+        item.appendChild(editor);
+    }
+
+    // 항목의 메모와 라벨 저장 후 목록과 라벨 필터를 다시 표시
+    async function saveEntryInfo(storageKey, normalizeList, isSame, entry, info) {
+        try {
+            const result = await settingsStorage.get(storageKey);
+            const items = normalizeList(result[storageKey]);
+            const index = items.findIndex(existing => isSame(existing, entry));
+            if (index === -1) return;
+
+            items[index] = normalizeEntryInfo({ ...items[index], ...info });
+            await settingsStorage.set({ [storageKey]: items });
+            notifyContentScript(storageKey, items);
+            await loadAllData();
+        } catch (error) {
+            console.error('메모 저장 중 오류:', error);
+        }
+    }
+
+    function renderEntryLabels(entry) {
+        return (entry.labels || []).map(label =>
+            `<span class="entry-label" style="background: ${getLabelColor(label, labelColors)}">${escapeHtml(label)}</span>`
+        ).join('');
+    }
+
+    // 추가한 날짜와 추가한 곳 (이 정보가 생기기 전에 추가한 항목은 표시하지 않음)
+    function renderEntryAddedBadge(entry) {
+        if (!entry.addedAt) return '';
+        const addedAt = new Date(entry.addedAt);
+        const source = entry.source ? ` · ${ENTRY_SOURCE_LABELS[entry.source]}` : '';
+        return `<span class="match-mode-badge" title="${escapeHtml(addedAt.toLocaleString('ko-KR'))}">📅 ${escapeHtml(addedAt.toLocaleDateString('ko-KR'))}${source}</span>`;
+    }
+
+    // 라벨 필터를 목록에 있는 라벨로 다시 채움 (선택한 라벨이 없어지면 모든 라벨, 라벨이 없으면 숨김)
+    function fillLabelFilterSelect(select, items) {
+        const current = select.value;
+        const labels = [...new Set(items.flatMap(entry => entry.labels || []))].sort((a, b) => a.localeCompare(b, 'ko'));
+
+        select.innerHTML = '';
+        [['', '모든 라벨'], ...labels.map(label => [label, `🏷️ ${label}`])].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = labels.includes(current) ? current : '';
+        select.hidden = labels.length === 0;
+    }
+
+    function filterByLabel(items, label) {
+        return label ? items.filter(entry => (entry.labels || []).includes(label)) : items;
+    }
+
+    // 모든 목록에서 쓰는 라벨과 항목 수, 라벨 색 편집
+    async function loadLabelManager() {
+        try {
+            const data = await settingsStorage.get([...TXT_SECTIONS.map(section => section.storageKey), 'labelColors']);
+            labelColors = normalizeLabelColors(data.labelColors);
+
+            const counts = new Map();
+            TXT_SECTIONS.forEach(section => {
+                section.normalize(data[section.storageKey]).forEach(entry => {
+                    (entry.labels || []).forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+                });
+            });
+
+            labelManagerList.innerHTML = '';
+            if (counts.size === 0) {
+                labelManagerList.textContent = '붙인 라벨이 없습니다';
+                return;
+            }
+
+            [...counts].sort(([a], [b]) => a.localeCompare(b, 'ko')).forEach(([label, count]) => {
+                const row = document.createElement('label');
+                row.className = 'label-manager-item';
+                const colorInput = document.createElement('input');
+                colorInput.type = 'color';
+                colorInput.value = getLabelColor(label, labelColors);
+                colorInput.addEventListener('change', () => saveLabelColor(label, colorInput.value));
+                row.appendChild(colorInput);
+                row.appendChild(document.createTextNode(`${label} (${count})`));
+                labelManagerList.appendChild(row);
+            });
+        } catch (error) {
+            console.error('라벨 로드 중 오류:', error);
+        }
+    }
+
+    async function saveLabelColor(label, color) {
+        try {
+            labelColors = { ...labelColors, [label]: color };
+            await settingsStorage.set({ labelColors });
+            await loadAllData();
+        } catch (error) {
+            console.error('라벨 색 저장 중 오류:', error);
+        }
+    }
+
+    // 숨기기 방식 선택 상자 (규칙별 선택 상자는 "기본 숨기기 방식" 포함)
+    function fillHideModeSelect(select, includeDefault = false) {
+        if (includeDefault) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = '기본 숨기기 방식';
+            select.appendChild(option);
+        }
+        HIDE_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = HIDE_MODE_LABELS[mode];
+            select.appendChild(option);
+        });
+    }
+
+    function renderHideModeBadge(entry) {
+        if (!entry.hideMode) return '';
+        return `<span class="match-mode-badge">${escapeHtml(HIDE_MODE_LABELS[entry.hideMode] || entry.hideMode)}</span>`;
+    }
+
+    // 숨기기 기간 선택 상자: 영구, 정해진 기간, 직접 입력
+    function fillDurationSelect(select) {
+        const options = [['', '영구'], ...Object.keys(SNOOZE_DURATIONS).map(duration =>
+            [duration, SNOOZE_DURATIONS[duration].label]
+        ), ['custom', '직접 입력...']];
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    // 선택한 기간의 만료 시각 (영구는 0, 취소하거나 잘못 입력하면 null)
+    function getSelectedExpiresAt(select) {
+        if (!select.value) return 0;
+
+        let durationMs = SNOOZE_DURATIONS[select.value]?.ms || 0;
+        if (select.value === 'custom') {
+            const input = prompt('숨길 기간을 입력하세요 (예: 30m, 2h, 3d, 1w)', '2h');
+            if (input === null) return null;
+            durationMs = parseDurationInput(input);
+        }
+        if (!durationMs) {
+            alert('올바른 기간을 입력해주세요.');
+            return null;
+        }
+        return Date.now() + durationMs;
+    }
+
+    function renderExpiryBadge(entry) {
+        if (!entry.expiresAt) return '';
+        const until = new Date(entry.expiresAt).toLocaleString('ko-KR');
+        return `<span class="match-mode-badge expiry-badge" title="${escapeHtml(until)}까지">⏱ ${formatRemainingTime(entry.expiresAt)} 남음</span>`;
+    }
+
+    function renderMatchModeBadge(matchMode) {
+        return `<span class="match-mode-badge">${escapeHtml(MATCH_MODE_LABELS[matchMode] || matchMode)}</span>`;
+    }
+
+    // 검색어 하이라이트 (HTML 이스케이프 포함)
+    function highlightText(text, searchTerm) {
+        let html = escapeHtml(text);
+        if (searchTerm) {
+            const regex = new RegExp(`(${escapeHtml(searchTerm)})`, 'gi');
+            html = html.replace(regex, '<span class="highlight">$1</span>');
         }
+        return html;
     }
 
     // HTML 이스케이프
@@ -1,24 +1,56 @@
 document.addEventListener("DOMContentLoaded", function () {
   const streamerCountEl = document.getElementById("streamerCount");
   const tagCountEl = document.getElementById("tagCount");
+  const keywordCountEl = document.getElementById("keywordCount");
+  const categoryCountEl = document.getElementById("categoryCount");
   const openSettingsBtn = document.getElementById("openSettings");
   const pageStatusEl = document.getElementById("pageStatus");
+  const scheduleStatusEl = document.getElementById("scheduleStatus");
+  const pageHealthEl = document.getElementById("pageHealth");
+  const storageStatusEl = document.getElementById("storageStatus");
+  const hiddenSectionEl = document.getElementById("hiddenSection");
+  const hiddenCountEl = document.getElementById("hiddenCount");
+  const hiddenListEl = document.getElementById("hiddenList");
+  const undoSectionEl = document.getElementById("undoSection");
+  const undoListEl = document.getElementById("undoList");
+  const profileSelect = document.getElementById("profileSelect");
 
   // 토글 스위치 요소들
   const masterToggle = document.getElementById("masterToggle");
   const streamerToggle = document.getElementById("streamerToggle");
   const tagToggle = document.getElementById("tagToggle");
+  const keywordToggle = document.getElementById("keywordToggle");
+  const categoryToggle = document.getElementById("categoryToggle");
+  const allowlistToggle = document.getElementById("allowlistToggle");
 
   // 초기 로드
+  loadProfiles();
   loadStats();
   loadToggleStates();
   checkCurrentPage();
+  loadScheduleStatus();
+  loadHiddenCards();
+  loadUndoHistory();
+  loadStorageStatus();
 
   // 설정 페이지 열기
   openSettingsBtn.addEventListener("click", function () {
     chrome.runtime.openOptionsPage();
   });
 
+  // 프로필 전환 (열린 탭에는 백그라운드에서 알림)
+  profileSelect.addEventListener("change", async function () {
+    try {
+      await switchProfile(this.value);
+      loadStats();
+      loadToggleStates();
+      loadScheduleStatus();
+      checkCurrentPage();
+    } catch (error) {
+      console.error("프로필 전환 중 오류:", error);
+    }
+  });
+
   // 마스터 토글 이벤트
   masterToggle.addEventListener("change", async function () {
     const isEnabled = this.checked;
@@ -27,26 +59,37 @@ document.addEventListener("DOMContentLoaded", function () {
     if (!isEnabled) {
       streamerToggle.checked = false;
       tagToggle.checked = false;
+      keywordToggle.checked = false;
+      categoryToggle.checked = false;
     } else {
       // 마스터 토글이 켜지면 이전 상태 복원
-      const result = await chrome.storage.sync.get([
+      const result = await settingsStorage.get([
         "streamerBlockEnabled",
         "tagBlockEnabled",
+        "keywordBlockEnabled",
+        "categoryBlockEnabled",
       ]);
       streamerToggle.checked = result.streamerBlockEnabled !== false;
       tagToggle.checked = result.tagBlockEnabled !== false;
+      keywordToggle.checked = result.keywordBlockEnabled !== false;
+      categoryToggle.checked = result.categoryBlockEnabled !== false;
     }
 
     // 상태 저장
-    await chrome.storage.sync.set({
+    await settingsStorage.set({
       masterBlockEnabled: isEnabled,
       streamerBlockEnabled: streamerToggle.checked,
       tagBlockEnabled: tagToggle.checked,
+      keywordBlockEnabled: keywordToggle.checked,
+      categoryBlockEnabled: categoryToggle.checked,
     });
 
     // 개별 토글 활성화/비활성화
     streamerToggle.disabled = !isEnabled;
     tagToggle.disabled = !isEnabled;
+    keywordToggle.disabled = !isEnabled;
+    categoryToggle.disabled = !isEnabled;
+    allowlistToggle.disabled = !isEnabled;
 
     // 콘텐츠 스크립트에 알림
     notifyContentScript();
@@ -54,7 +97,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
   // 스트리머 토글 이벤트
   streamerToggle.addEventListener("change", async function () {
-    await chrome.storage.sync.set({
+    await settingsStorage.set({
       streamerBlockEnabled: this.checked,
     });
     notifyContentScript();
@@ -62,50 +105,139 @@ document.addEventListener("DOMContentLoaded", function () {
 
   // 태그 토글 이벤트
   tagToggle.addEventListener("change", async function () {
-    await chrome.storage.sync.set({
+    await settingsStorage.set({
       tagBlockEnabled: this.checked,
     });
     notifyContentScript();
   });
 
+  // 제목 키워드 토글 이벤트
+  keywordToggle.addEventListener("change", async function () {
+    await settingsStorage.set({
+      keywordBlockEnabled: this.checked,
+    });
+    notifyContentScript();
+  });
+
+  // 카테고리 토글 이벤트
+  categoryToggle.addEventListener("change", async function () {
+    await settingsStorage.set({
+      categoryBlockEnabled: this.checked,
+    });
+    notifyContentScript();
+  });
+
+  // 허용 목록 모드 전환 (허용한 스트리머/카테고리 외에는 모두 숨김)
+  allowlistToggle.addEventListener("change", async function () {
+    await settingsStorage.set({
+      allowlistModeEnabled: this.checked,
+    });
+    notifyContentScript();
+  });
+
   // 토글 상태 로드
   async function loadToggleStates() {
     try {
-      const result = await chrome.storage.sync.get([
+      const result = await settingsStorage.get([
         "masterBlockEnabled",
         "streamerBlockEnabled",
         "tagBlockEnabled",
+        "keywordBlockEnabled",
+        "categoryBlockEnabled",
+        "allowlistModeEnabled",
       ]);
 
-      // 기본값: 모두 true (활성화)
+      // 기본값: 모두 true (활성화), 허용 목록 모드만 false
       const masterEnabled = result.masterBlockEnabled !== false;
       const streamerEnabled = result.streamerBlockEnabled !== false;
       const tagEnabled = result.tagBlockEnabled !== false;
+      const keywordEnabled = result.keywordBlockEnabled !== false;
+      const categoryEnabled = result.categoryBlockEnabled !== false;
 
       masterToggle.checked = masterEnabled;
       streamerToggle.checked = streamerEnabled && masterEnabled;
       tagToggle.checked = tagEnabled && masterEnabled;
+      keywordToggle.checked = keywordEnabled && masterEnabled;
+      categoryToggle.checked = categoryEnabled && masterEnabled;
+      allowlistToggle.checked = result.allowlistModeEnabled === true;
 
       // 마스터 토글이 꺼져있으면 개별 토글 비활성화
       streamerToggle.disabled = !masterEnabled;
       tagToggle.disabled = !masterEnabled;
+      keywordToggle.disabled = !masterEnabled;
+      categoryToggle.disabled = !masterEnabled;
+      allowlistToggle.disabled = !masterEnabled;
     } catch (error) {
       console.error("토글 상태 로드 중 오류:", error);
     }
   }
 
+  // 프로필 목록 로드
+  async function loadProfiles() {
+    try {
+      const { profiles, activeProfileId } = await loadProfileIndex();
+      profileSelect.innerHTML = "";
+      profiles.forEach((profile) => {
+        const option = document.createElement("option");
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+      });
+      profileSelect.value = activeProfileId;
+    } catch (error) {
+      console.error("프로필 로드 중 오류:", error);
+    }
+  }
+
+  // 예약이 수동 토글과 다른 상태로 적용 중이면 표시
+  async function loadScheduleStatus() {
+    try {
+      const data = await settingsStorage.get(BLOCK_SETTINGS_KEYS);
+      const { scheduleOverrides } = await chrome.storage.local.get(
+        "scheduleOverrides"
+      );
+      const manual = buildBlockSettings(data);
+      const effective = buildBlockSettings(data, scheduleOverrides);
+
+      const overridden = SCHEDULE_TARGETS.filter((target) => {
+        const key = SCHEDULE_SETTING_KEYS[target];
+        return manual[key] !== effective[key];
+      }).map(
+        (target) =>
+          `${SCHEDULE_TARGET_LABELS[target]} ${
+            effective[SCHEDULE_SETTING_KEYS[target]] ? "켜짐" : "꺼짐"
+          }`
+      );
+
+      if (overridden.length > 0) {
+        scheduleStatusEl.textContent = `⏰ 예약 적용 중: ${overridden.join(", ")}`;
+        scheduleStatusEl.style.display = "block";
+      } else {
+        scheduleStatusEl.style.display = "none";
+      }
+    } catch (error) {
+      console.error("예약 상태 확인 중 오류:", error);
+    }
+  }
+
   // 통계 로드
   async function loadStats() {
     try {
-      const result = await chrome.storage.sync.get([
+      const result = await settingsStorage.get([
         "blockedStreamers",
         "blockedTags",
+        "blockedKeywords",
+        "blockedCategories",
       ]);
       const streamers = result.blockedStreamers || [];
       const tags = result.blockedTags || [];
+      const keywords = result.blockedKeywords || [];
+      const categories = result.blockedCategories || [];
 
       streamerCountEl.textContent = streamers.length;
       tagCountEl.textContent = tags.length;
+      keywordCountEl.textContent = keywords.length;
+      categoryCountEl.textContent = categories.length;
     } catch (error) {
       console.error("통계 로드 중 오류:", error);
     }
@@ -121,16 +253,24 @@ document.addEventListener("DOMContentLoaded", function () {
 
       if (tab.url && tab.url.includes("chzzk.naver.com")) {
         // 차단 기능 상태 확인
-        const result = await chrome.storage.sync.get(["masterBlockEnabled"]);
+        const result = await settingsStorage.get([
+          "masterBlockEnabled",
+          "allowlistModeEnabled",
+        ]);
         const isEnabled = result.masterBlockEnabled !== false;
 
-        if (isEnabled) {
+        if (isEnabled && result.allowlistModeEnabled === true) {
+          pageStatusEl.innerHTML =
+            '<span class="enabled-indicator"></span>허용 목록 모드로 활성';
+        } else if (isEnabled) {
           pageStatusEl.innerHTML =
             '<span class="enabled-indicator"></span>현재 페이지에서 활성';
         } else {
           pageStatusEl.innerHTML =
             '<span class="disabled-indicator"></span>차단 기능 비활성화됨';
         }
+
+        checkPageHealth(tab.id);
       } else {
         pageStatusEl.innerHTML =
           '<span class="disabled-indicator"></span>CHZZK 페이지가 아님';
@@ -142,31 +282,243 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   }
 
+  // 카드 목록 페이지에서 방송 카드를 하나도 찾지 못하면 선택자 경고 표시
+  async function checkPageHealth(tabId) {
+    try {
+      const health = await chrome.tabs.sendMessage(tabId, {
+        action: "getPageHealth",
+      });
+
+      if (health && health.cardListPage && health.cardCount === 0) {
+        pageHealthEl.textContent =
+          "⚠️ 이 페이지에서 방송 카드를 찾지 못했습니다. 사이트가 바뀌었을 수 있으니 설정의 사이트 선택자를 확인하세요.";
+        pageHealthEl.style.display = "block";
+      } else {
+        pageHealthEl.style.display = "none";
+      }
+    } catch (error) {
+      // 콘텐츠 스크립트가 아직 로드되지 않은 경우 무시
+      pageHealthEl.style.display = "none";
+    }
+  }
+
+  // 이 기기에만 저장 중이거나 동기화 한도에 가까우면 표시
+  async function loadStorageStatus() {
+    try {
+      const usage = await getStorageUsage();
+      if (usage.area === "local") {
+        storageStatusEl.textContent =
+          usage.reason === "quota"
+            ? "📱 동기화 용량을 넘어 이 기기에만 저장 중입니다. 설정의 저장 공간에서 확인하세요."
+            : "📱 이 기기에만 저장 중 (동기화 꺼짐)";
+        storageStatusEl.style.display = "block";
+      } else if (usage.warning) {
+        storageStatusEl.textContent = `⚠️ 동기화 저장 한도에 가깝습니다. ${usage.warning}`;
+        storageStatusEl.style.display = "block";
+      } else {
+        storageStatusEl.style.display = "none";
+      }
+    } catch (error) {
+      console.error("저장 공간 확인 중 오류:", error);
+    }
+  }
+
+  // 현재 탭에서 숨긴 카드 목록
+  async function loadHiddenCards() {
+    try {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (!tab.url || !tab.url.includes("chzzk.naver.com")) return;
+
+      const items = await chrome.tabs.sendMessage(tab.id, {
+        action: "getHiddenCards",
+      });
+      if (!Array.isArray(items)) return;
+
+      hiddenSectionEl.style.display = "block";
+      renderHiddenCards(tab.id, items);
+    } catch (error) {
+      // 콘텐츠 스크립트가 아직 로드되지 않은 경우 무시
+      hiddenSectionEl.style.display = "none";
+    }
+  }
+
+  function renderHiddenCards(tabId, items) {
+    hiddenCountEl.textContent = items.length;
+    hiddenListEl.innerHTML = "";
+
+    if (items.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "hidden-empty";
+      empty.textContent = "숨긴 항목이 없습니다";
+      hiddenListEl.appendChild(empty);
+      return;
+    }
+
+    items.forEach((item) => {
+      const row = document.createElement("div");
+      row.className = "hidden-item";
+
+      const thumb = document.createElement(item.thumbnail ? "img" : "div");
+      thumb.className = "hidden-thumb";
+      if (item.thumbnail) {
+        thumb.src = item.thumbnail;
+        thumb.alt = "";
+      }
+
+      const info = document.createElement("div");
+      info.className = "hidden-info";
+      const name = document.createElement("div");
+      name.className = "hidden-name";
+      name.textContent = item.name || item.title || "(이름 없음)";
+      name.title = [item.name, item.title].filter(Boolean).join(" - ");
+      const reason = document.createElement("div");
+      reason.className = "hidden-reason";
+      reason.textContent = item.reason;
+      info.append(name, reason);
+
+      const showBtn = document.createElement("button");
+      showBtn.className = "hidden-btn";
+      showBtn.textContent = "보기";
+      showBtn.title = "이번만 보기";
+      showBtn.addEventListener("click", async function () {
+        await chrome.tabs
+          .sendMessage(tabId, { action: "showHiddenCardOnce", id: item.id })
+          .catch(() => {});
+        renderHiddenCards(
+          tabId,
+          items.filter((other) => other.id !== item.id)
+        );
+      });
+
+      row.append(thumb, info, showBtn);
+
+      // 허용 목록 모드로 숨긴 카드는 삭제할 규칙이 없음
+      if (item.storageKey && item.entry) {
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "hidden-btn danger";
+        removeBtn.textContent = "해제";
+        removeBtn.title = "규칙 삭제";
+        removeBtn.addEventListener("click", async function () {
+          await removeHiddenRule(item);
+          renderHiddenCards(
+            tabId,
+            items.filter((other) => other.ruleKey !== item.ruleKey)
+          );
+        });
+        row.appendChild(removeBtn);
+      }
+
+      hiddenListEl.appendChild(row);
+    });
+  }
+
+  // 우클릭 메뉴로 바꾼 최근 작업 (브라우저를 닫기 전까지 보관)
+  async function loadUndoHistory() {
+    try {
+      const data = await chrome.storage.session.get(UNDO_HISTORY_KEY);
+      renderUndoHistory(data[UNDO_HISTORY_KEY] || []);
+    } catch (error) {
+      console.error("최근 작업 로드 중 오류:", error);
+    }
+  }
+
+  function renderUndoHistory(history) {
+    undoListEl.innerHTML = "";
+    undoSectionEl.style.display = history.length > 0 ? "block" : "none";
+
+    history.forEach((change) => {
+      const row = document.createElement("div");
+      row.className = "hidden-item";
+
+      const info = document.createElement("div");
+      info.className = "hidden-info";
+      const label = document.createElement("div");
+      label.className = "hidden-name";
+      label.textContent = change.label;
+      label.title = change.label;
+      const time = document.createElement("div");
+      time.className = "hidden-reason";
+      time.textContent = formatTimeAgo(change.createdAt);
+      info.append(label, time);
+
+      const undoBtn = document.createElement("button");
+      undoBtn.className = "hidden-btn";
+      undoBtn.textContent = "되돌리기";
+      undoBtn.addEventListener("click", async function () {
+        const result = await chrome.runtime
+          .sendMessage({ action: "undoChange", id: change.id })
+          .catch(() => null);
+        if (result && !result.success) {
+          alert(result.message);
+        }
+        loadStats();
+        loadUndoHistory();
+        // 콘텐츠 스크립트가 카드를 다시 처리한 뒤 숨긴 항목 목록 갱신
+        setTimeout(loadHiddenCards, 300);
+      });
+
+      row.append(info, undoBtn);
+      undoListEl.appendChild(row);
+    });
+  }
+
+  // 카드를 숨긴 규칙을 현재 프로필의 목록에서 삭제 (우클릭 메뉴와 같이 최근 작업에 남겨 되돌릴 수 있게 함)
+  async function removeHiddenRule(item) {
+    try {
+      const isSame = LIST_ENTRY_COMPARERS[item.storageKey];
+      const result = await settingsStorage.get(item.storageKey);
+      const stored = PROFILE_LIST_NORMALIZERS[item.storageKey](
+        result[item.storageKey]
+      );
+      const removed = stored.filter((entry) => isSame(entry, item.entry));
+      if (removed.length === 0) return;
+
+      await settingsStorage.set({
+        [item.storageKey]: stored.filter((entry) => !isSame(entry, item.entry)),
+      });
+      // 되돌리기로 메모와 라벨까지 복원되도록 저장된 항목을 기록
+      await chrome.runtime
+        .sendMessage({
+          action: "recordUndo",
+          change: {
+            id: crypto.randomUUID(),
+            storageKey: item.storageKey,
+            added: [],
+            removed,
+            label: `숨기기 해제: ${item.reason}`,
+          },
+        })
+        .catch(() => {});
+
+      loadStats();
+      loadUndoHistory();
+      await notifyContentScript();
+    } catch (error) {
+      console.error("규칙 삭제 중 오류:", error);
+    }
+  }
+
   // 콘텐츠 스크립트에 변경사항 알림
   async function notifyContentScript() {
     try {
       const tabs = await chrome.tabs.query({
         url: "https://chzzk.naver.com/*",
       });
-      const settings = await chrome.storage.sync.get([
-        "masterBlockEnabled",
-        "streamerBlockEnabled", 
-        "tagBlockEnabled",
-        "blockedStreamers",
-        "blockedTags",
-      ]);
+      const data = await settingsStorage.get(BLOCK_SETTINGS_KEYS);
+      // 예약이 적용 중인 토글은 예약 상태를 그대로 전달
+      const { scheduleOverrides } = await chrome.storage.local.get(
+        "scheduleOverrides"
+      );
+      const settings = buildBlockSettings(data, scheduleOverrides);
 
       tabs.forEach((tab) => {
         chrome.tabs
           .sendMessage(tab.id, {
             action: "updateBlockSettings",
-            settings: {
-              masterEnabled: settings.masterBlockEnabled !== false,
-              streamerEnabled: settings.streamerBlockEnabled !== false,
-              tagEnabled: settings.tagBlockEnabled !== false,
-              blockedStreamers: settings.blockedStreamers || [],
-              blockedTags: settings.blockedTags || [],
-            },
+            settings,
           })
           .catch(() => {
             // 탭이 응답하지 않는 경우 무시
@@ -175,6 +527,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
       // 페이지 상태 업데이트
       checkCurrentPage();
+      loadScheduleStatus();
     } catch (error) {
       console.error("콘텐츠 스크립트 알림 중 오류:", error);
     }